@@ -5,12 +5,43 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 // CONSTANTS
 // ============================================================================
 
-const GRID_SIZE = 16;
+const DEFAULT_GRID_SIZE = 16; // Cells along each side of a new world
+const MIN_GRID_SIZE = 8;
+const MAX_GRID_SIZE = 64;
+const CHUNK_SIZE = 8; // Cells along each side of a ground tile
+const WORLD_LIMIT = 5000; // Furthest row or col from the origin, either way
+const MAX_SNOWFLAKES = 16000;
 const CELL_SIZE = 2;
 const TRACK_WIDTH = 0.4;
 const RAIL_HEIGHT = 0.05;
 const SLEEPER_HEIGHT = 0.1;
 const SLEEPER_LENGTH = 0.8; // Fixed length, not dependent on track width
+const BRIDGE_HEIGHT = 1.2; // Rail height on a bridge, enough for a train to pass beneath
+const DECK_THICKNESS = 0.15;
+const TERRAIN_STEP = BRIDGE_HEIGHT / 2; // Height of one level of hill, so two levels reach bridge height
+const MAX_TERRAIN_LEVEL = 5;
+const TUNNEL_COVER_HEIGHT = 1.8; // Hill height kept over the middle of a tunnel
+const WATER_LEVEL = 0.03; // Water surface, just above the ground
+const RIVER_HALF_WIDTH = 0.6; // Half the width of the water in a cell, out from its middle
+const WATER_CELLS_PER_BOAT = 12;
+const BOAT_SPEED = 0.4; // Cells per second
+const ROAD_WIDTH = 1.6; // Matches the road over a level crossing
+const LANE_OFFSET = 0.4; // From the middle of a road to the middle of a lane
+const ROAD_CELLS_PER_VEHICLE = 5;
+const VEHICLE_SPEED = 0.8; // Cells per second
+const VEHICLE_GAP = 0.8; // Distance kept to the vehicle ahead
+const VEHICLE_STOP_PROGRESS = 0.75; // How far across its cell a vehicle waits for a crossing
+const VEHICLE_COLORS = [0xD32F2F, 0x1976D2, 0xFBC02D, 0x388E3C, 0xF5F5F5];
+const SCENERY_FOOTPRINTS = { // Cells covered before turning
+    'house': { rows: 1, cols: 1 },
+    'church': { rows: 2, cols: 1 },
+    'farm': { rows: 2, cols: 2 },
+    'water-tower': { rows: 1, cols: 1 },
+    'lamp': { rows: 1, cols: 1 },
+    'fence': { rows: 1, cols: 1 }
+};
+const SCENERY_TYPES = Object.keys(SCENERY_FOOTPRINTS);
+const ANIMAL_SPEED = 0.15; // World units per second
 
 // Directions
 const DIR = {
@@ -20,21 +51,59 @@ const DIR = {
     LEFT: 3
 };
 
+// Grid step for each direction, indexed by DIR value
+const DIR_OFFSETS = [
+    { dr: -1, dc: 0 }, // UP
+    { dr: 0, dc: 1 },  // RIGHT
+    { dr: 1, dc: 0 },  // DOWN
+    { dr: 0, dc: -1 }  // LEFT
+];
+
+// Cell edges joined by each plain piece, named by the direction they face
+const STRAIGHT_SIDES = {
+    'straight-h': [DIR.LEFT, DIR.RIGHT],
+    'straight-v': [DIR.UP, DIR.DOWN]
+};
+const CURVE_SIDES = {
+    'curve-tl': [DIR.UP, DIR.LEFT],
+    'curve-tr': [DIR.UP, DIR.RIGHT],
+    'curve-bl': [DIR.DOWN, DIR.LEFT],
+    'curve-br': [DIR.DOWN, DIR.RIGHT]
+};
+
+// Letter for each side in piece names like 'ramp-t-low', indexed by DIR value
+const SIDE_LETTERS = ['t', 'r', 'b', 'l'];
+
 // ============================================================================
 // GLOBAL STATE
 // ============================================================================
 
 let scene, camera, renderer, controls;
-let groundPlane, gridHelper;
-let grid = []; // grid[row][col] = { kind, trackType, mesh, ... }
-let trains = []; // { segments: [{ type, mesh, row, col, dir, enterDir, progress }], speed, moving, stopped }
-let selectedTool = 'straight'; // 'straight', 'curve', 'crossing', 'tunnel', 'tree', 'engine-steam', 'engine-diesel', 'car-passenger', 'car-caboose', 'follow', 'delete'
+let sunLight;
+let gridSize = DEFAULT_GRID_SIZE; // Cells along each side of the starting ground; track can go past it
+let world = new Map(); // "row,col" -> { kind, trackType, mesh, ... } for occupied cells only
+let groundChunks = new Map(); // "chunkRow,chunkCol" -> ground tile with its grid lines
+let groundTile = null; // Tile cloned for each chunk
+let groundBounds = null; // { top, left, bottom, right } cells covered by ground, bottom and right exclusive
+let terrain = new Map(); // "row,col" -> hill level, for raised cells only
+let terrainMesh = null; // Every hill, rebuilt by updateTerrainMesh
+let water = new Set(); // "row,col" of every water cell
+let waterMesh = null; // All the water, rebuilt by updateWaterMesh
+let boats = []; // { mesh, row, col, dir, progress, phase } drifting from the middle of a cell toward the next
+let scenery = []; // { row, col, sceneryType, rotation, mesh } kept by their top-left cell
+let vehicles = []; // { mesh, row, col, dir, exit, progress, heading } road traffic, crossing a cell from dir to exit
+let trains = []; // { segments: [{ type, mesh, row, col, dir, enterDir, progress, facingBack }], speed, currentSpeed, moving, stopped, reversed, endOfLine }
+let selectedTool = 'straight'; // 'straight', 'curve', 'draw', 'switch', 'diamond', 'signal', 'station', 'crossing', 'tunnel', 'bridge', 'ramp', 'raise', 'lower', 'river', 'road', 'tree', 'scenery-house', 'scenery-church', 'scenery-farm', 'scenery-water-tower', 'scenery-lamp', 'scenery-fence', 'select', 'engine-steam', 'engine-diesel', 'engine-bullet', 'car-passenger', 'car-freight', 'car-caboose', 'follow', 'throttle', 'train-ends', 'delete'
 let isPlaying = false;
 let soundEnabled = true;
+let crashMode = false; // When on, trains collide and derail instead of braking for each other
 let audioContext = null;
 let steamEngineSound = null;
+let bulletHum = null; // { oscillator, gain } electric whine for moving bullet trains
 let dingSound = null;
 let crossings = []; // { row, col, mesh, arms: [arm1, arm2], active: bool, dingSound: Audio }
+let signals = []; // { row, col, dir, mesh, aspect: 'red' | 'yellow' | 'green', occupants: Set, next }
+let stations = []; // { row, col, horizontal, dwell, mesh, passengers: [{ mesh, from, to, timer, duration }] }
 let snowParticles = null; // Snow particle system
 let followingTrain = null; // Train being followed by camera
 let originalCameraPosition = null; // Stored camera position for returning
@@ -42,9 +111,52 @@ let originalCameraTarget = null; // Stored camera target for returning
 let followCameraDistance = 3; // Adjustable distance for follow mode
 let followCameraHeight = 1.5; // Adjustable height for follow mode
 let lastPinchDistance = null; // For tracking pinch gestures
+let undoStack = []; // { label, undo, redo } commands, most recent last
+let redoStack = [];
+let editSteps = null; // [{ undo, redo }] recorded by the edit in progress, see recordEdit
+let isLoadingLayout = false; // Set while layout data is built: silences placement sounds and auto-connect
+let autosaveTimer = null;
+let openSaveId = null; // Saved world the current one was opened from, offered for updating
+let toastTimer = null;
 
 const SEGMENT_SPACING = 0.9; // Distance between segments
 const ENGINE_TO_CAR_SPACING = 1.05; // Extra space between engine and first car
+const END_OF_LINE_WAIT = 3; // Seconds a 'wait' train sits at a dead end before reversing
+const TRAIN_SPEEDS = [0, 0.75, 1.5, 2.25, 3]; // Throttle settings in cells per second
+const DEFAULT_TRAIN_SPEED = 1.5;
+const BULLET_TRAIN_SPEED = 3;
+const BULLET_TRAIN_POWER = 1.6; // Acceleration multiplier for the bullet train
+const FREIGHT_CARGO = ['crates', 'logs', 'coal'];
+const ENGINE_TYPES = ['engine-steam', 'engine-diesel', 'engine-bullet'];
+const CAR_TYPES = ['car-passenger', 'car-freight', 'car-caboose'];
+const END_OF_LINE_MODES = ['stop', 'reverse', 'wait'];
+const END_OF_LINE_MESSAGES = {
+    stop: 'This train will stop at the end of the line',
+    reverse: 'This train will turn back at the end of the line',
+    wait: 'This train will wait for the line to clear, then turn back'
+};
+const TRAIN_ACCELERATION = 1.0; // cells per second squared, for an engine on its own
+const TRAIN_DECELERATION = 0.8; // cells per second squared, when the throttle is eased off
+const TRAIN_BRAKING = 1.5; // cells per second squared
+const CAR_WEIGHT = 0.35; // Weight of each car relative to the engine
+const BLOCK_STOP_MARGIN = 0.3; // Cells left free before an occupied block
+const COLLISION_DISTANCE = 0.7; // World distance at which two trains' segments collide
+const STATION_DWELL_TIMES = [3, 5, 10]; // Seconds a train stands at a station; tap a station to cycle
+const PLATFORM_OFFSET = 0.72; // Distance from the track centre line to the middle of the platform
+const PLATFORM_HEIGHT = 0.2;
+const MAX_HISTORY = 100; // Undo steps kept
+const AUTOSAVE_KEY = 'kaitrain.autosave';
+const AUTOSAVE_BACKUP_KEY = 'kaitrain.autosave.backup'; // Last autosave that couldn't be opened
+const AUTOSAVE_FORMAT = 1; // Bump when the saved envelope changes shape
+const AUTOSAVE_DELAY = 1000; // ms of quiet after an edit before saving
+const SAVES_KEY = 'kaitrain.saves';
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 100;
+const MAX_LAYOUT_FILE_SIZE = 5 * 1024 * 1024; // bytes
+const LAYOUT_VERSION = 8; // Layouts without a version field are version 1
+const SHARE_FORMAT = 1; // First byte of a share link's data
+const GHOST_OPACITY = 0.45;
+const GHOST_INVALID_COLOR = 0xff3333; // Ghost tint where a tap would be rejected
 
 // Default layout (set to null to start empty, or paste layout data here)
 const DEFAULT_LAYOUT = {
@@ -222,15 +334,24 @@ const DEFAULT_LAYOUT = {
 
 // Raycaster for picking
 const raycaster = new THREE.Raycaster();
+const GROUND_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
 const pointer = new THREE.Vector2();
 let pointerDownPos = null;
+let drawStroke = null; // { path: [{ row, col }], pointerId, moved, finishEdit } while dragging out track
+let brushStroke = null; // { cells: Set of "row,col", last: { row, col }, pointerId, drain, finishEdit } while raising, lowering, painting water or laying road
+let hoverCell = null; // { row, col } under a hovering mouse
+let ghostPreview = null; // { key, mesh } see-through preview of what a tap would place
+let selection = null; // { top, left, bottom, right } cells marked with the select tool
+let selectionMesh = null;
+let selectionDrag = null; // { start: { row, col }, pointerId } while dragging out a selection
+let selectionAction = null; // 'paste' or 'move' while waiting for a tap on the target cell
+let clipboard = null; // Copied region, see copyRegion
 
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
 function init() {
-    initGrid();
     initScene();
     initUI();
     initAudio();
@@ -238,35 +359,25 @@ function init() {
     // Make exportLayout available globally for console access
     window.exportLayout = exportLayout;
 
-    // Load default layout if provided
-    if (DEFAULT_LAYOUT) {
+    // Open a shared link if there is one, then the autosaved world, otherwise
+    // load the default layout if provided
+    if (!openShareLink() && !restoreAutosave() && DEFAULT_LAYOUT) {
         loadLayout(DEFAULT_LAYOUT);
     }
 
     animate();
 }
 
-function initGrid() {
-    for (let r = 0; r < GRID_SIZE; r++) {
-        grid[r] = [];
-        for (let c = 0; c < GRID_SIZE; c++) {
-            grid[r][c] = { kind: null };
-        }
-    }
-}
-
 function initScene() {
     // Scene
     scene = new THREE.Scene();
     scene.background = new THREE.Color(0x87CEEB);
     scene.fog = new THREE.Fog(0x87CEEB, 30, 60);
 
-    // Camera
+    // Camera (placed by resetCamera)
     const container = document.getElementById('canvas-container');
     const aspect = container.clientWidth / container.clientHeight;
     camera = new THREE.PerspectiveCamera(50, aspect, 0.1, 100);
-    camera.position.set(GRID_SIZE * CELL_SIZE * 0.8, GRID_SIZE * CELL_SIZE * 0.6, GRID_SIZE * CELL_SIZE * 0.8);
-    camera.lookAt(GRID_SIZE * CELL_SIZE / 2, 0, GRID_SIZE * CELL_SIZE / 2);
 
     // Renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -280,43 +391,27 @@ function initScene() {
     const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
     scene.add(ambientLight);
 
-    const sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    sunLight.position.set(20, 30, 20);
+    sunLight = new THREE.DirectionalLight(0xffffff, 0.8);
     sunLight.castShadow = true;
-    sunLight.shadow.camera.left = -GRID_SIZE * CELL_SIZE;
-    sunLight.shadow.camera.right = GRID_SIZE * CELL_SIZE;
-    sunLight.shadow.camera.top = GRID_SIZE * CELL_SIZE;
-    sunLight.shadow.camera.bottom = -GRID_SIZE * CELL_SIZE;
     sunLight.shadow.camera.near = 1;
-    sunLight.shadow.camera.far = 100;
     sunLight.shadow.mapSize.width = 2048;
     sunLight.shadow.mapSize.height = 2048;
     scene.add(sunLight);
-
-    // Ground
-    const groundSize = GRID_SIZE * CELL_SIZE;
-    const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize);
-    const groundMaterial = new THREE.MeshLambertMaterial({ color: 0x5FAD56 });
-    groundPlane = new THREE.Mesh(groundGeometry, groundMaterial);
-    groundPlane.rotation.x = -Math.PI / 2;
-    groundPlane.position.set(groundSize / 2, 0, groundSize / 2);
-    groundPlane.receiveShadow = true;
-    scene.add(groundPlane);
-
-    // Grid helper
-    gridHelper = new THREE.GridHelper(groundSize, GRID_SIZE, 0x444444, 0x888888);
-    gridHelper.position.set(groundSize / 2, 0.01, groundSize / 2);
-    scene.add(gridHelper);
+    scene.add(sunLight.target);
 
     // Controls
     controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     controls.dampingFactor = 0.1;
     controls.minDistance = 10;
-    controls.maxDistance = 50;
     controls.maxPolarAngle = Math.PI / 2.2; // Don't go under ground
-    controls.target.set(groundSize / 2, 0, groundSize / 2);
-    controls.update();
+
+    // Ground over the starting area, with snow and everything else sized to it
+    groundTile = createGroundTile();
+    extendGround(0, 0, gridSize, gridSize);
+    terrainMesh = createTerrainMesh();
+    waterMesh = createWaterMesh();
+    resetCamera();
 
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
@@ -324,13 +419,83 @@ function initScene() {
     // Handle pointer events for placing
     renderer.domElement.addEventListener('pointerdown', onPointerDown);
     renderer.domElement.addEventListener('pointerup', onPointerUp);
+    renderer.domElement.addEventListener('pointermove', onPointerMove);
+    renderer.domElement.addEventListener('pointerleave', onPointerLeave);
+
+    // Track drawing listens in the capture phase so it runs before OrbitControls
+    container.addEventListener('pointerdown', onDrawPointerDown, true);
+    container.addEventListener('pointermove', onDrawPointerMove);
+    window.addEventListener('pointerup', onDrawPointerUp);
+    window.addEventListener('pointercancel', onDrawPointerUp);
+    container.addEventListener('pointerdown', onSelectPointerDown, true);
+    container.addEventListener('pointermove', onSelectPointerMove);
+    window.addEventListener('pointerup', onSelectPointerUp);
+    window.addEventListener('pointercancel', onSelectPointerUp);
+    container.addEventListener('pointerdown', onBrushPointerDown, true);
+    container.addEventListener('pointermove', onBrushPointerMove);
+    window.addEventListener('pointerup', onBrushPointerUp);
+    window.addEventListener('pointercancel', onBrushPointerUp);
+}
+
+// Point the camera at the middle of the starting ground from the usual angle
+function resetCamera() {
+    const groundSize = gridSize * CELL_SIZE;
+    const center = groundSize / 2;
+    controls.target.set(center, 0, center);
+    camera.position.set(groundSize * 0.8, groundSize * 0.6, groundSize * 0.8);
+    controls.update();
+}
+
+// Fit the fog, sunlight, snow and camera limits to the ground, after it has
+// grown or been rebuilt
+function fitSceneToGround() {
+    const { top, left, bottom, right } = groundBounds;
+    const width = (right - left) * CELL_SIZE;
+    const depth = (bottom - top) * CELL_SIZE;
+    const extent = Math.max(width, depth);
+    const centerX = (left + right) / 2 * CELL_SIZE;
+    const centerZ = (top + bottom) / 2 * CELL_SIZE;
+    const scale = Math.max(1, extent / (DEFAULT_GRID_SIZE * CELL_SIZE)); // Small worlds keep the default view distances
+
+    scene.fog.near = 30 * scale;
+    scene.fog.far = 60 * scale;
+    camera.far = 100 * scale;
+    camera.updateProjectionMatrix();
+
+    // Keep the sun over the middle so its shadow camera covers the whole ground
+    sunLight.position.set(centerX + 20, 30, centerZ + 20);
+    sunLight.target.position.set(centerX, 0, centerZ);
+    sunLight.shadow.camera.left = -extent;
+    sunLight.shadow.camera.right = extent;
+    sunLight.shadow.camera.top = extent;
+    sunLight.shadow.camera.bottom = -extent;
+    sunLight.shadow.camera.far = 100 * scale;
+    sunLight.shadow.camera.updateProjectionMatrix();
 
     // Add snow effects
-    createFallingSnow(groundSize);
+    if (snowParticles) {
+        scene.remove(snowParticles);
+        snowParticles.geometry.dispose();
+        snowParticles.material.dispose();
+    }
+    createFallingSnow();
+
+    controls.maxDistance = 50 * scale;
+}
+
+// Change the starting ground area. Nothing in the world depends on it, so
+// only the view is reset; callers rebuild the ground
+function setGridSize(size) {
+    if (size === gridSize) return;
+    gridSize = size;
+    resetCamera();
 }
 
-function createFallingSnow(groundSize) {
-    const particleCount = 1000;
+function createFallingSnow() {
+    // The same snowfall per cell whatever the world size, up to a limit
+    const { top, left, bottom, right } = groundBounds;
+    const cells = (bottom - top) * (right - left);
+    const particleCount = Math.min(MAX_SNOWFLAKES, Math.round(1000 * cells / (DEFAULT_GRID_SIZE * DEFAULT_GRID_SIZE)));
     const positions = new Float32Array(particleCount * 3);
     const velocities = new Float32Array(particleCount * 3);
 
@@ -338,9 +503,9 @@ function createFallingSnow(groundSize) {
     for (let i = 0; i < particleCount; i++) {
         const i3 = i * 3;
         // Random position across the ground area, starting at various heights
-        positions[i3] = Math.random() * groundSize;
+        positions[i3] = (left + Math.random() * (right - left)) * CELL_SIZE;
         positions[i3 + 1] = Math.random() * 20 + 10; // Height between 10 and 30
-        positions[i3 + 2] = Math.random() * groundSize;
+        positions[i3 + 2] = (top + Math.random() * (bottom - top)) * CELL_SIZE;
 
         // Random fall speed (slow)
         velocities[i3] = (Math.random() - 0.5) * 0.1; // Slight horizontal drift
@@ -372,318 +537,2505 @@ function onWindowResize() {
 }
 
 // ============================================================================
-// UI
+// WORLD MAP
 // ============================================================================
 
-function initUI() {
-    // Play button
-    const playBtn = document.getElementById('play-btn');
-    playBtn.addEventListener('click', () => {
-        isPlaying = !isPlaying;
-        if (isPlaying) {
-            playBtn.textContent = '⏸️';
-            playBtn.classList.add('playing');
-            playSound('start');
-            updateSteamEngineSound();
-        } else {
-            playBtn.textContent = '▶️';
-            playBtn.classList.remove('playing');
-            updateSteamEngineSound();
-        }
-    });
+// Only occupied cells are stored, so the world has no edges. Ground is laid in
+// CHUNK_SIZE tiles over the starting area and under everything placed, so it
+// grows a tile at a time as pieces go down past its edge. Panning the camera
+// stops at the edge of the ground.
 
-    // Sound button
-    const soundBtn = document.getElementById('sound-btn');
-    soundBtn.addEventListener('click', () => {
-        soundEnabled = !soundEnabled;
-        soundBtn.textContent = soundEnabled ? '🔊' : '🔇';
-        updateSteamEngineSound();
-    });
+function cellKey(row, col) {
+    return `${row},${col}`;
+}
 
-    // Item buttons
-    document.querySelectorAll('.item-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const newTool = btn.dataset.type;
-            // Exit follow mode if switching away from follow tool
-            if (selectedTool === 'follow' && newTool !== 'follow' && followingTrain) {
-                exitFollowMode();
-            }
-            selectedTool = newTool;
-            updateSelection();
-        });
-    });
+// The cell at row, col; empty cells read as { kind: null }
+function getCell(row, col) {
+    return world.get(cellKey(row, col)) || { kind: null };
+}
 
-    // Wheel event for zooming in follow mode
-    renderer.domElement.addEventListener('wheel', (event) => {
-        if (followingTrain) {
-            event.preventDefault();
-            const zoomSpeed = 0.001;
-            followCameraDistance += event.deltaY * zoomSpeed;
-            followCameraDistance = Math.max(0.5, Math.min(10, followCameraDistance));
-        }
-    }, { passive: false });
+// Editing code changes cells through these two so that the change can be undone
+function setCell(row, col, cell) {
+    const previous = getCell(row, col);
+    world.set(cellKey(row, col), cell);
+    extendGround(row, col, row + 1, col + 1);
+    refreshTerrainAt(row, col);
+    refreshRoadsAround(row, col);
+    recordCell(row, col, previous, cell);
+}
 
-    // Touch events for pinch zoom in follow mode
-    renderer.domElement.addEventListener('touchstart', (event) => {
-        if (followingTrain && event.touches.length === 2) {
-            const dx = event.touches[0].clientX - event.touches[1].clientX;
-            const dy = event.touches[0].clientY - event.touches[1].clientY;
-            lastPinchDistance = Math.sqrt(dx * dx + dy * dy);
-        }
-    });
+function clearCell(row, col) {
+    const previous = getCell(row, col);
+    world.delete(cellKey(row, col));
+    refreshTerrainAt(row, col);
+    refreshRoadsAround(row, col);
+    recordCell(row, col, previous, { kind: null });
+}
 
-    renderer.domElement.addEventListener('touchmove', (event) => {
-        if (followingTrain && event.touches.length === 2 && lastPinchDistance !== null) {
-            event.preventDefault();
-            const dx = event.touches[0].clientX - event.touches[1].clientX;
-            const dy = event.touches[0].clientY - event.touches[1].clientY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const delta = lastPinchDistance - distance;
-            followCameraDistance += delta * 0.01;
-            followCameraDistance = Math.max(0.5, Math.min(10, followCameraDistance));
-            lastPinchDistance = distance;
-        }
-    }, { passive: false });
+function recordCell(row, col, previous, cell) {
+    recordStep(() => restoreCell(row, col, previous), () => restoreCell(row, col, cell));
+}
 
-    renderer.domElement.addEventListener('touchend', (event) => {
-        if (event.touches.length < 2) {
-            lastPinchDistance = null;
-        }
-    });
+// Put a recorded cell back, swapping its mesh in for whatever is there now
+function restoreCell(row, col, cell) {
+    const current = getCell(row, col);
+    if (current.mesh && current.mesh !== cell.mesh) {
+        scene.remove(current.mesh);
+    }
+    if (cell.mesh) {
+        scene.add(cell.mesh);
+    }
+    if (cell.kind) {
+        setCell(row, col, cell);
+    } else {
+        clearCell(row, col);
+    }
+}
 
-    updateSelection();
+// Call fn(cell, row, col) for every occupied cell, row by row
+function forEachCell(fn) {
+    const cells = [...world.keys()].map(key => key.split(',').map(Number));
+    cells.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    cells.forEach(([row, col]) => fn(world.get(cellKey(row, col)), row, col));
 }
 
-function updateSelection() {
-    document.querySelectorAll('.item-btn').forEach(btn => {
-        if (btn.dataset.type === selectedTool) {
-            btn.classList.add('selected');
-        } else {
-            btn.classList.remove('selected');
+function isInWorld(row, col) {
+    return Math.abs(row) <= WORLD_LIMIT && Math.abs(col) <= WORLD_LIMIT;
+}
+
+// Cell under the raycaster, or null when it points at the sky or past the fog
+function getGroundCell() {
+    const hillHits = raycaster.intersectObject(terrainMesh);
+    const point = hillHits.length > 0 ? hillHits[0].point : raycaster.ray.intersectPlane(GROUND_PLANE, new THREE.Vector3());
+    if (!point || point.distanceTo(camera.position) > scene.fog.far) return null;
+
+    const row = Math.floor(point.z / CELL_SIZE);
+    const col = Math.floor(point.x / CELL_SIZE);
+    return isInWorld(row, col) ? { row, col } : null;
+}
+
+// One tile of ground with its grid lines. Tiles are clones sharing the same
+// geometry and materials.
+function createGroundTile() {
+    const tileSize = CHUNK_SIZE * CELL_SIZE;
+    const tile = new THREE.Group();
+
+    const ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(tileSize, tileSize),
+        new THREE.MeshLambertMaterial({ color: 0x5FAD56 })
+    );
+    ground.rotation.x = -Math.PI / 2;
+    ground.receiveShadow = true;
+    tile.add(ground);
+
+    const lines = new THREE.GridHelper(tileSize, CHUNK_SIZE, 0x888888, 0x888888);
+    lines.position.y = 0.01;
+    tile.add(lines);
+
+    return tile;
+}
+
+// Lay tiles under a rectangle of cells, bottom and right exclusive. While a
+// layout loads the scene is fitted once at the end instead of for every tile.
+function extendGround(top, left, bottom, right) {
+    let grew = false;
+
+    for (let chunkRow = Math.floor(top / CHUNK_SIZE); chunkRow <= Math.floor((bottom - 1) / CHUNK_SIZE); chunkRow++) {
+        for (let chunkCol = Math.floor(left / CHUNK_SIZE); chunkCol <= Math.floor((right - 1) / CHUNK_SIZE); chunkCol++) {
+            const key = cellKey(chunkRow, chunkCol);
+            if (groundChunks.has(key)) continue;
+
+            const tile = groundTile.clone();
+            tile.position.set((chunkCol + 0.5) * CHUNK_SIZE * CELL_SIZE, 0, (chunkRow + 0.5) * CHUNK_SIZE * CELL_SIZE);
+            scene.add(tile);
+            groundChunks.set(key, tile);
+            grew = true;
+
+            const tileBounds = {
+                top: chunkRow * CHUNK_SIZE,
+                left: chunkCol * CHUNK_SIZE,
+                bottom: (chunkRow + 1) * CHUNK_SIZE,
+                right: (chunkCol + 1) * CHUNK_SIZE
+            };
+            groundBounds = groundBounds ? {
+                top: Math.min(groundBounds.top, tileBounds.top),
+                left: Math.min(groundBounds.left, tileBounds.left),
+                bottom: Math.max(groundBounds.bottom, tileBounds.bottom),
+                right: Math.max(groundBounds.right, tileBounds.right)
+            } : tileBounds;
         }
-    });
+    }
+
+    if (grew && !isLoadingLayout) {
+        fitSceneToGround();
+    }
+}
+
+function clearGround() {
+    groundChunks.forEach(tile => scene.remove(tile));
+    groundChunks.clear();
+    groundBounds = null;
+}
+
+// Stop panning at the edge of the ground, moving the camera with its target
+// so the view doesn't swing
+function clampCameraTarget() {
+    const target = controls.target;
+    const x = THREE.MathUtils.clamp(target.x, groundBounds.left * CELL_SIZE, groundBounds.right * CELL_SIZE);
+    const z = THREE.MathUtils.clamp(target.z, groundBounds.top * CELL_SIZE, groundBounds.bottom * CELL_SIZE);
+    camera.position.x += x - target.x;
+    camera.position.z += z - target.z;
+    target.x = x;
+    target.z = z;
 }
 
 // ============================================================================
-// POINTER / TAP HANDLING
+// TERRAIN
 // ============================================================================
 
-function onPointerDown(event) {
-    const rect = renderer.domElement.getBoundingClientRect();
-    pointerDownPos = {
-        x: event.clientX - rect.left,
-        y: event.clientY - rect.top
-    };
+// Hills are raised a level at a time per cell. A raised cell slopes down inside
+// itself to any lower neighbor, so cells at ground level stay flat and the
+// track on them doesn't change. The only track inside a hill is a tunnel.
+
+function getTerrainLevel(row, col) {
+    return terrain.get(cellKey(row, col)) || 0;
 }
 
-function onPointerUp(event) {
-    if (!pointerDownPos) return;
+function isHillCell(row, col) {
+    return terrain.has(cellKey(row, col));
+}
 
-    const rect = renderer.domElement.getBoundingClientRect();
-    const upX = event.clientX - rect.left;
-    const upY = event.clientY - rect.top;
-    const dx = upX - pointerDownPos.x;
-    const dy = upY - pointerDownPos.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
+// Height of the hill top in the middle of a cell
+function getTerrainHeight(row, col) {
+    return getTerrainLevel(row, col) * TERRAIN_STEP;
+}
 
-    // Only count as a tap if pointer didn't move much
-    if (dist < 10) {
-        pointer.x = ((upX / renderer.domElement.clientWidth) * 2) - 1;
-        pointer.y = (-(upY / renderer.domElement.clientHeight) * 2) + 1;
-        handleTap();
+function setTerrainLevel(row, col, level) {
+    const previous = getTerrainLevel(row, col);
+    if (level > 0) {
+        terrain.set(cellKey(row, col), level);
+        extendGround(row, col, row + 1, col + 1);
+    } else {
+        terrain.delete(cellKey(row, col));
     }
 
-    pointerDownPos = null;
+    // Trees stand on the hill top
+    const cell = getCell(row, col);
+    if (cell.kind === 'tree') {
+        cell.mesh.position.y = getTerrainHeight(row, col);
+    }
+    recordStep(() => restoreTerrainLevel(row, col, previous), () => restoreTerrainLevel(row, col, level));
 }
 
-function handleTap() {
-    raycaster.setFromCamera(pointer, camera);
+// Put a recorded level back and reshape the hills around it
+function restoreTerrainLevel(row, col, level) {
+    setTerrainLevel(row, col, level);
+    updateTerrainMesh();
+}
 
-    // In follow mode, check for train clicks to follow
-    if (selectedTool === 'follow') {
-        const trainMeshes = [];
-        trains.forEach(t => {
-            t.segments.forEach(seg => trainMeshes.push(seg.mesh));
-        });
-        const trainIntersects = raycaster.intersectObjects(trainMeshes, true);
+// A tunnel going into or out of a hill changes its shape. Layout loads build
+// the hills once at the end instead.
+function refreshTerrainAt(row, col) {
+    if (isHillCell(row, col) && !isLoadingLayout) {
+        updateTerrainMesh();
+    }
+}
 
-        if (trainIntersects.length > 0) {
-            const clickedMesh = trainIntersects[0].object;
-            let clickedSegmentMesh = clickedMesh;
+function createTerrainMesh() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([], 3));
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color: 0x5FAD56 }));
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+    return mesh;
+}
 
-            // Traverse up to find the segment mesh
-            while (clickedSegmentMesh.parent && !trains.some(t =>
-                t.segments.some(seg => seg.mesh === clickedSegmentMesh)
-            )) {
-                clickedSegmentMesh = clickedSegmentMesh.parent;
-            }
+// Rebuild every hill. Each raised cell is a fan of triangles around its middle.
+// Points on its edges and corners are as high as the lowest cell sharing them,
+// so neighboring cells meet without gaps and the hill comes down to the ground.
+function updateTerrainMesh() {
+    const positions = [];
+    const lowestLevel = (rows, cols) => Math.min(...rows.flatMap(r => cols.map(c => getTerrainLevel(r, c))));
+
+    terrain.forEach((level, key) => {
+        const [row, col] = key.split(',').map(Number);
+        // Rows or cols sharing a point 0, 1 or 2 half cells across the cell
+        const rowsAt = [[row - 1, row], [row], [row, row + 1]];
+        const colsAt = [[col - 1, col], [col], [col, col + 1]];
+        const point = (x, z, height) => [
+            col * CELL_SIZE + x * CELL_SIZE / 2,
+            height,
+            row * CELL_SIZE + z * CELL_SIZE / 2
+        ];
+
+        const tunnel = (getCell(row, col).trackType || '').startsWith('tunnel-');
+        const middle = point(1, 1, Math.max(level * TERRAIN_STEP, tunnel ? TUNNEL_COVER_HEIGHT : 0));
+
+        // Round the edge clockwise from the top-left corner
+        const ring = [[0, 0], [1, 0], [2, 0], [2, 1], [2, 2], [1, 2], [0, 2], [0, 1]]
+            .map(([x, z]) => point(x, z, lowestLevel(rowsAt[z], colsAt[x]) * TERRAIN_STEP));
+        ring.forEach((corner, i) => {
+            positions.push(...middle, ...ring[(i + 1) % ring.length], ...corner);
+        });
+    });
 
-            // Find which train was clicked
-            const trainIndex = trains.findIndex(t =>
-                t.segments.some(seg => seg.mesh === clickedSegmentMesh)
-            );
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.computeVertexNormals();
+    terrainMesh.geometry.dispose();
+    terrainMesh.geometry = geometry;
+}
 
-            if (trainIndex !== -1) {
-                const train = trains[trainIndex];
-                // Toggle follow mode
-                if (followingTrain === train) {
-                    exitFollowMode();
-                } else {
-                    enterFollowMode(train);
-                }
-                return;
-            }
-        }
+// Raise, lower, river and road tools: a tap or a drag changes each cell it
+// passes. Raise and lower move the ground one level. The river tool adds water,
+// or takes it away when the stroke starts on water. The road tool lays road.
+// Like the draw tool, the drag holds the camera still.
+function onBrushPointerDown(event) {
+    if (!['raise', 'lower', 'river', 'road'].includes(selectedTool) || followingTrain || brushStroke) return;
+    if (event.target !== renderer.domElement || !event.isPrimary || event.button !== 0) return;
+
+    const cell = getCellFromEvent(event);
+    if (!cell) return;
+
+    controls.enabled = false;
+    brushStroke = {
+        cells: new Set(),
+        last: cell,
+        pointerId: event.pointerId,
+        drain: isWaterCell(cell.row, cell.col),
+        finishEdit: beginEdit(selectedTool)
+    };
+    brushCell(cell.row, cell.col);
+}
+
+function onBrushPointerMove(event) {
+    if (!brushStroke || event.pointerId !== brushStroke.pointerId) return;
+
+    const cell = getCellFromEvent(event);
+    if (!cell) return;
+
+    // Step through every cell on the way, so rivers join up
+    let last = brushStroke.last;
+    while (last.row !== cell.row || last.col !== cell.col) {
+        const dr = cell.row - last.row;
+        const dc = cell.col - last.col;
+        last = Math.abs(dr) >= Math.abs(dc)
+            ? { row: last.row + Math.sign(dr), col: last.col }
+            : { row: last.row, col: last.col + Math.sign(dc) };
+        brushCell(last.row, last.col);
     }
+    brushStroke.last = last;
+}
 
-    // In delete mode, check for trains first
-    if (selectedTool === 'delete') {
-        // Check for train hits (check all segment meshes)
-        const trainMeshes = [];
-        trains.forEach(t => {
-            t.segments.forEach(seg => trainMeshes.push(seg.mesh));
-        });
-        const trainIntersects = raycaster.intersectObjects(trainMeshes, true);
-
-        if (trainIntersects.length > 0) {
-            // Find which train was clicked
-            const clickedMesh = trainIntersects[0].object;
-            let clickedSegmentMesh = clickedMesh;
-
-            // Traverse up to find the segment mesh
-            while (clickedSegmentMesh.parent && !trains.some(t =>
-                t.segments.some(seg => seg.mesh === clickedSegmentMesh)
-            )) {
-                clickedSegmentMesh = clickedSegmentMesh.parent;
-            }
+function onBrushPointerUp(event) {
+    if (!brushStroke || event.pointerId !== brushStroke.pointerId) return;
 
-            // Delete the train
-            const trainIndex = trains.findIndex(t =>
-                t.segments.some(seg => seg.mesh === clickedSegmentMesh)
-            );
-            if (trainIndex !== -1) {
-                // If following this train, exit follow mode first
-                if (followingTrain === trains[trainIndex]) {
-                    exitFollowMode();
-                }
-                // Remove all segment meshes
-                trains[trainIndex].segments.forEach(seg => scene.remove(seg.mesh));
-                trains.splice(trainIndex, 1);
-                playSound('place');
-                updateSteamEngineSound();
-                return;
-            }
-        }
+    brushStroke.finishEdit();
+    brushStroke = null;
+}
 
-        // Check for track and tree hits
-        const trackMeshes = [];
-        for (let r = 0; r < GRID_SIZE; r++) {
-            for (let c = 0; c < GRID_SIZE; c++) {
-                if (grid[r][c].mesh) {
-                    trackMeshes.push(grid[r][c].mesh);
-                }
-            }
-        }
-        const trackIntersects = raycaster.intersectObjects(trackMeshes, true);
+function brushCell(row, col) {
+    const key = cellKey(row, col);
+    if (brushStroke.cells.has(key)) return;
+
+    brushStroke.cells.add(key);
+    if (selectedTool === 'raise') {
+        raiseTerrain(row, col);
+    } else if (selectedTool === 'lower') {
+        lowerTerrain(row, col);
+    } else if (selectedTool === 'road') {
+        addRoad(row, col);
+    } else if (brushStroke.drain) {
+        removeWater(row, col);
+    } else {
+        addWater(row, col);
+    }
+}
 
-        if (trackIntersects.length > 0) {
-            const point = trackIntersects[0].point;
-            const col = Math.floor(point.x / CELL_SIZE);
-            const row = Math.floor(point.z / CELL_SIZE);
+// Straight track under a rising hill becomes a tunnel; other track stops it
+function raiseTerrain(row, col) {
+    const level = getTerrainLevel(row, col);
+    if (level >= MAX_TERRAIN_LEVEL) {
+        console.log('Hill is as high as it goes');
+        return;
+    }
 
-            if (row >= 0 && row < GRID_SIZE && col >= 0 && col < GRID_SIZE) {
-                deleteTrack(row, col);
-            }
+    if (isWaterCell(row, col)) {
+        console.log('Cannot raise the ground under water');
+        return;
+    }
+    if (isRoadCell(row, col)) {
+        console.log('Cannot raise the ground under a road');
+        return;
+    }
+    if (getCell(row, col).kind === 'scenery') {
+        console.log('Cannot raise the ground under a building');
+        return;
+    }
+
+    const cell = getCell(row, col);
+    if (cell.kind === 'track' && !cell.trackType.startsWith('tunnel-')) {
+        if (!cell.trackType.startsWith('straight-')) {
+            console.log('Only straight track can go through a hill');
             return;
         }
+        placeTrackPiece(row, col, cell.trackType.replace('straight-', 'tunnel-'));
     }
 
-    // In car-passenger or car-caboose mode, check for trains to attach car to
-    if (selectedTool === 'car-passenger' || selectedTool === 'car-caboose') {
-        // Check for train hits (check all segment meshes)
-        const trainMeshes = [];
-        trains.forEach(t => {
-            t.segments.forEach(seg => trainMeshes.push(seg.mesh));
-        });
-        const trainIntersects = raycaster.intersectObjects(trainMeshes, true);
-
-        if (trainIntersects.length > 0) {
-            // Find which train was clicked
-            const clickedMesh = trainIntersects[0].object;
-            let clickedSegmentMesh = clickedMesh;
-
-            // Traverse up to find the segment mesh
-            while (clickedSegmentMesh.parent && !trains.some(t =>
-                t.segments.some(seg => seg.mesh === clickedSegmentMesh)
-            )) {
-                clickedSegmentMesh = clickedSegmentMesh.parent;
-            }
+    setTerrainLevel(row, col, level + 1);
+    updateTerrainMesh();
+    playSound('place');
+}
 
-            // Add car to the train
-            const trainIndex = trains.findIndex(t =>
-                t.segments.some(seg => seg.mesh === clickedSegmentMesh)
-            );
-            if (trainIndex !== -1) {
-                addCarToTrain(trains[trainIndex], selectedTool); // Use selectedTool to get the car type
-                return;
-            }
-        }
-    }
+function lowerTerrain(row, col) {
+    const level = getTerrainLevel(row, col);
+    if (level === 0) return;
 
-    // Use ground plane intersection
-    const intersects = raycaster.intersectObject(groundPlane);
-
-    if (intersects.length > 0) {
-        const point = intersects[0].point;
-        const col = Math.floor(point.x / CELL_SIZE);
-        const row = Math.floor(point.z / CELL_SIZE);
-
-        if (row >= 0 && row < GRID_SIZE && col >= 0 && col < GRID_SIZE) {
-            if (selectedTool === 'straight' || selectedTool === 'curve') {
-                placeTrackSmart(row, col, selectedTool);
-            } else if (selectedTool === 'crossing') {
-                placeCrossing(row, col);
-            } else if (selectedTool === 'tunnel') {
-                placeTunnel(row, col);
-            } else if (selectedTool === 'tree') {
-                placeTree(row, col);
-            } else if (selectedTool === 'engine-steam' || selectedTool === 'engine-diesel') {
-                placeTrain(row, col, selectedTool);
-            } else if (selectedTool === 'delete') {
-                deleteTrack(row, col);
-            }
-        }
-    }
+    setTerrainLevel(row, col, level - 1);
+    updateTerrainMesh();
+    playSound('place');
 }
 
 // ============================================================================
-// TRACK CREATION
+// WATER
 // ============================================================================
 
-function createTrackMesh(type) {
-    const group = new THREE.Group();
+// Rivers and lakes are cells of water painted with the river tool. Water joins
+// the water beside it the way track does, so a line of cells is a river and a
+// block of them is a lake. Only bridges go over water, and straight track laid
+// there becomes a low trestle. Boats drift about on their own and aren't saved.
+
+const WATER_VERTEX_SHADER = `
+    varying vec2 vWorld;
+    #include <fog_pars_vertex>
+
+    void main() {
+        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+        vWorld = worldPosition.xz;
+        vec4 mvPosition = viewMatrix * worldPosition;
+        gl_Position = projectionMatrix * mvPosition;
+        #include <fog_vertex>
+    }
+`;
+
+// Two sets of ripples sliding past each other, with glints where they peak
+const WATER_FRAGMENT_SHADER = `
+    uniform float time;
+    varying vec2 vWorld;
+    #include <fog_pars_fragment>
+
+    void main() {
+        float ripple = sin(vWorld.x * 2.1 + time * 1.3) * sin(vWorld.y * 1.7 - time * 0.9);
+        ripple += 0.5 * sin((vWorld.x + vWorld.y) * 3.3 - time * 1.7);
+        vec3 color = mix(vec3(0.13, 0.42, 0.72), vec3(0.3, 0.62, 0.88), 0.5 + 0.33 * ripple);
+        color = mix(color, vec3(0.92, 0.97, 1.0), 0.6 * smoothstep(0.9, 1.4, ripple));
+        gl_FragColor = vec4(color, 0.9);
+        #include <fog_fragment>
+    }
+`;
 
-    if (type === 'straight-h' || type === 'straight-v') {
-        createStraightTrack(group, type === 'straight-h');
-    } else if (type === 'crossing-h' || type === 'crossing-v') {
-        createLevelCrossing(group, type === 'crossing-h');
-    } else if (type === 'tunnel-h' || type === 'tunnel-v') {
-        createTunnelTrack(group, type === 'tunnel-h');
-    } else if (type.startsWith('curve-')) {
-        createCurvedTrack(group, type);
-    } else if (type === 'tree') {
-        createTree(group);
+function isWaterCell(row, col) {
+    return water.has(cellKey(row, col));
+}
+
+function setWaterCell(row, col, wet) {
+    const wasWet = isWaterCell(row, col);
+    if (wet) {
+        water.add(cellKey(row, col));
+        extendGround(row, col, row + 1, col + 1);
+    } else {
+        water.delete(cellKey(row, col));
     }
+    recordStep(() => restoreWaterCell(row, col, wasWet), () => restoreWaterCell(row, col, wet));
+}
 
-    return group;
+// Put recorded water back or take it away, and reshape the water around it
+function restoreWaterCell(row, col, wet) {
+    setWaterCell(row, col, wet);
+    updateWaterMesh();
 }
 
-function createStraightTrack(group, horizontal) {
-    const trackLength = CELL_SIZE * 0.99;
-    const sleeperCount = 5;
-    const sleeperSpacing = trackLength / (sleeperCount - 1);
-    const sleeperWidth = 0.15;
-    const sleeperLength = SLEEPER_LENGTH;
+// Why ordinary track can't be laid in a cell, or null if it can
+function getGroundProblem(row, col) {
+    if (isRoadCell(row, col)) return 'Roads can only cross track at a level crossing';
+    if (getCell(row, col).kind === 'scenery') return 'Cannot lay track through a building';
+    if (isHillCell(row, col)) return 'Only tunnels can go through hills';
+    if (isWaterCell(row, col)) return 'Only bridges can go over water';
+    return null;
+}
+
+// River tool: water can't go into a hill or under a tree, and the only track
+// it goes under is a bridge. Straight track becomes a trestle.
+function addWater(row, col) {
+    if (isWaterCell(row, col)) return;
+    if (isHillCell(row, col)) {
+        console.log('Water cannot go on a hill');
+        return;
+    }
+
+    const cell = getCell(row, col);
+    if (cell.kind === 'tree' || cell.kind === 'road') {
+        console.log(`Water cannot go under a ${cell.kind}`);
+        return;
+    }
+    if (cell.kind === 'scenery') {
+        console.log('Water cannot go under a building');
+        return;
+    }
+    if (cell.kind === 'track' && !/^(bridge|trestle)-/.test(cell.trackType)) {
+        if (!cell.trackType.startsWith('straight-')) {
+            console.log('Only bridges can go over water');
+            return;
+        }
+        placeTrackPiece(row, col, cell.trackType.replace('straight-', 'trestle-'));
+    }
+
+    setWaterCell(row, col, true);
+    updateWaterMesh();
+    playSound('place');
+}
+
+// A trestle left on dry ground goes back to plain track
+function removeWater(row, col) {
+    if (!isWaterCell(row, col)) return;
+
+    setWaterCell(row, col, false);
+    const cell = getCell(row, col);
+    if (cell.kind === 'track' && cell.trackType.startsWith('trestle-')) {
+        placeTrackPiece(row, col, cell.trackType.replace('trestle-', 'straight-'));
+    }
+    updateWaterMesh();
+    playSound('place');
+}
+
+function createWaterMesh() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute([], 3));
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, { time: { value: 0 } }]),
+        vertexShader: WATER_VERTEX_SHADER,
+        fragmentShader: WATER_FRAGMENT_SHADER,
+        transparent: true,
+        fog: true
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    scene.add(mesh);
+    return mesh;
+}
+
+// Rebuild all the water. Each cell has a pool in its middle that reaches out to
+// the edges it shares with other water, and fills a corner where water goes all
+// the way round it, so lakes have no gaps.
+function updateWaterMesh() {
+    const positions = [];
+    const inner = RIVER_HALF_WIDTH;
+    const outer = CELL_SIZE / 2;
+
+    water.forEach(key => {
+        const [row, col] = key.split(',').map(Number);
+        const x = col * CELL_SIZE + outer;
+        const z = row * CELL_SIZE + outer;
+        const wet = (dr, dc) => isWaterCell(row + dr, col + dc);
+        const rect = (left, top, right, bottom) => positions.push(
+            x + left, WATER_LEVEL, z + top, x + left, WATER_LEVEL, z + bottom, x + right, WATER_LEVEL, z + top,
+            x + right, WATER_LEVEL, z + top, x + left, WATER_LEVEL, z + bottom, x + right, WATER_LEVEL, z + bottom
+        );
+
+        rect(-inner, -inner, inner, inner);
+        if (wet(-1, 0)) rect(-inner, -outer, inner, -inner);
+        if (wet(1, 0)) rect(-inner, inner, inner, outer);
+        if (wet(0, -1)) rect(-outer, -inner, -inner, inner);
+        if (wet(0, 1)) rect(inner, -inner, outer, inner);
+        if (wet(-1, 0) && wet(0, -1) && wet(-1, -1)) rect(-outer, -outer, -inner, -inner);
+        if (wet(-1, 0) && wet(0, 1) && wet(-1, 1)) rect(inner, -outer, outer, -inner);
+        if (wet(1, 0) && wet(0, -1) && wet(1, -1)) rect(-outer, inner, -inner, outer);
+        if (wet(1, 0) && wet(0, 1) && wet(1, 1)) rect(inner, inner, outer, outer);
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    waterMesh.geometry.dispose();
+    waterMesh.geometry = geometry;
+    syncBoats();
+}
+
+function createBoat() {
+    const boat = new THREE.Group();
+
+    const hull = new THREE.Mesh(
+        new THREE.BoxGeometry(0.28, 0.12, 0.55),
+        new THREE.MeshLambertMaterial({ color: 0xB5522E })
+    );
+    hull.position.y = 0.06;
+    hull.castShadow = true;
+    boat.add(hull);
+
+    const mast = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.015, 0.015, 0.45, 6),
+        new THREE.MeshLambertMaterial({ color: 0x8B4513 })
+    );
+    mast.position.y = 0.34;
+    boat.add(mast);
+
+    // Triangular sail reaching forward from the mast
+    const sailShape = new THREE.Shape();
+    sailShape.moveTo(0, 0);
+    sailShape.lineTo(0.24, 0);
+    sailShape.lineTo(0, 0.36);
+    sailShape.lineTo(0, 0);
+    const sail = new THREE.Mesh(
+        new THREE.ShapeGeometry(sailShape),
+        new THREE.MeshLambertMaterial({ color: 0xffffff, side: THREE.DoubleSide })
+    );
+    sail.rotation.y = -Math.PI / 2;
+    sail.position.set(0, 0.18, 0.02);
+    sail.castShadow = true;
+    boat.add(sail);
+
+    return boat;
+}
+
+// Water a boat can float through. Trestles sit too low to pass under.
+function isBoatWater(row, col) {
+    return isWaterCell(row, col) && !(getCell(row, col).trackType || '').startsWith('trestle-');
+}
+
+// Which way a boat leaving the middle of a cell goes: any way on along the
+// water, and back the way it came only at a dead end. Null if it can't move.
+function chooseBoatDirection(row, col, cameFrom) {
+    const open = [DIR.UP, DIR.RIGHT, DIR.DOWN, DIR.LEFT].filter(side =>
+        isBoatWater(row + DIR_OFFSETS[side].dr, col + DIR_OFFSETS[side].dc));
+    const onward = open.filter(side => side !== cameFrom);
+    const choices = onward.length > 0 ? onward : open;
+    return choices.length > 0 ? choices[Math.floor(Math.random() * choices.length)] : null;
+}
+
+// Keep one boat for every WATER_CELLS_PER_BOAT cells of water, dropping any
+// left on dry land
+function syncBoats() {
+    boats = boats.filter(boat => {
+        if (isBoatWater(boat.row, boat.col)) return true;
+        scene.remove(boat.mesh);
+        return false;
+    });
+
+    const wanted = Math.floor(water.size / WATER_CELLS_PER_BOAT);
+    while (boats.length > wanted) {
+        scene.remove(boats.pop().mesh);
+    }
+
+    const cells = [...water].map(key => key.split(',').map(Number)).filter(([row, col]) => isBoatWater(row, col));
+    while (boats.length < wanted && cells.length > 0) {
+        const [row, col] = cells[Math.floor(Math.random() * cells.length)];
+        const boat = {
+            mesh: createBoat(),
+            row,
+            col,
+            dir: chooseBoatDirection(row, col, null),
+            progress: Math.random(),
+            phase: Math.random() * Math.PI * 2
+        };
+        boat.mesh.rotation.y = getRotationForDirection(boat.dir);
+        scene.add(boat.mesh);
+        boats.push(boat);
+    }
+}
+
+// Ripple the water and drift the boats, turning them gently at each bend
+function updateWater(delta) {
+    waterMesh.material.uniforms.time.value += delta;
+    const time = waterMesh.material.uniforms.time.value;
+
+    boats.forEach(boat => {
+        if (boat.dir !== null && !isBoatWater(boat.row + DIR_OFFSETS[boat.dir].dr, boat.col + DIR_OFFSETS[boat.dir].dc)) {
+            boat.dir = null; // The way ahead was built over or dried up
+        }
+        if (boat.dir === null) {
+            boat.dir = chooseBoatDirection(boat.row, boat.col, null);
+            boat.progress = 0;
+        }
+
+        let offset = { dr: 0, dc: 0 };
+        if (boat.dir !== null) {
+            boat.progress += BOAT_SPEED * delta;
+            if (boat.progress >= 1) {
+                boat.row += DIR_OFFSETS[boat.dir].dr;
+                boat.col += DIR_OFFSETS[boat.dir].dc;
+                boat.progress -= 1;
+                boat.dir = chooseBoatDirection(boat.row, boat.col, (boat.dir + 2) % 4);
+            }
+            if (boat.dir !== null) {
+                offset = DIR_OFFSETS[boat.dir];
+            }
+        }
+
+        boat.mesh.position.set(
+            (boat.col + offset.dc * boat.progress) * CELL_SIZE + CELL_SIZE / 2,
+            WATER_LEVEL + Math.sin(time * 2 + boat.phase) * 0.015,
+            (boat.row + offset.dr * boat.progress) * CELL_SIZE + CELL_SIZE / 2
+        );
+        boat.mesh.rotation.z = Math.sin(time * 1.3 + boat.phase) * 0.06;
+
+        if (boat.dir !== null) {
+            const target = getRotationForDirection(boat.dir);
+            const turn = Math.atan2(Math.sin(target - boat.mesh.rotation.y), Math.cos(target - boat.mesh.rotation.y));
+            boat.mesh.rotation.y += turn * Math.min(1, delta * 4);
+        }
+    });
+}
+
+// ============================================================================
+// ROADS
+// ============================================================================
+
+// Roads are cells of their own, like trees. Each one joins the roads beside it
+// and runs on across the track of a level crossing. Traffic keeps to the left,
+// driving from the edge of one cell to the edge of the next, and waits short of
+// a crossing until its barriers are back up.
+
+function isRoadCell(row, col) {
+    return getCell(row, col).kind === 'road';
+}
+
+function isCrossingCell(cell) {
+    return cell.kind === 'track' && cell.trackType.startsWith('crossing-');
+}
+
+function getCrossingForCell(cell) {
+    return crossings.find(crossing =>
+        crossing.row === cell.crossingRow && crossing.col === cell.crossingCol
+    ) || null;
+}
+
+// The sides of a crossing cell its road leaves by, across the track
+function getCrossingRoadSides(cell) {
+    return cell.trackType === 'crossing-h' ? [DIR.UP, DIR.DOWN] : [DIR.LEFT, DIR.RIGHT];
+}
+
+// Sides a road leaves a cell by: toward the roads beside it, and into or out
+// of a crossing
+function getRoadSides(row, col) {
+    const cell = getCell(row, col);
+    const neighborOn = side => getCell(row + DIR_OFFSETS[side].dr, col + DIR_OFFSETS[side].dc);
+
+    if (cell.kind === 'road') {
+        return [DIR.UP, DIR.RIGHT, DIR.DOWN, DIR.LEFT].filter(side => {
+            const neighbor = neighborOn(side);
+            return neighbor.kind === 'road' ||
+                (isCrossingCell(neighbor) && getCrossingRoadSides(neighbor).includes(side));
+        });
+    }
+    if (isCrossingCell(cell)) {
+        return getCrossingRoadSides(cell).filter(side => neighborOn(side).kind === 'road');
+    }
+    return [];
+}
+
+// Road tool: roads go on flat, dry ground, over trees but not track
+function addRoad(row, col) {
+    const cell = getCell(row, col);
+    if (cell.kind === 'road') return;
+    if (cell.kind === 'track') {
+        console.log('Roads can only cross track at a level crossing');
+        return;
+    }
+    if (cell.kind === 'scenery') {
+        console.log('Roads cannot go through buildings');
+        return;
+    }
+    if (isHillCell(row, col)) {
+        console.log('Roads cannot go on hills');
+        return;
+    }
+    if (isWaterCell(row, col)) {
+        console.log('Roads cannot go through water');
+        return;
+    }
+
+    if (cell.mesh) {
+        scene.remove(cell.mesh);
+    }
+    setCell(row, col, { kind: 'road', mesh: null }); // refreshRoadsAround builds the mesh
+    playSound('place');
+}
+
+function createRoadMesh(sides) {
+    const group = new THREE.Group();
+    const asphaltMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
+    const lineMaterial = new THREE.MeshLambertMaterial({ color: 0xF5F5F5 });
+
+    const middle = new THREE.Mesh(new THREE.BoxGeometry(ROAD_WIDTH, 0.03, ROAD_WIDTH), asphaltMaterial);
+    middle.position.y = 0.015;
+    middle.receiveShadow = true;
+    group.add(middle);
+
+    // An arm out to each joined edge, built toward +z and turned, with a
+    // dashed line down the middle
+    const armLength = (CELL_SIZE - ROAD_WIDTH) / 2;
+    sides.forEach(side => {
+        const arm = new THREE.Group();
+        arm.rotation.y = getRotationForDirection(side);
+        group.add(arm);
+
+        const surface = new THREE.Mesh(new THREE.BoxGeometry(ROAD_WIDTH, 0.03, armLength), asphaltMaterial);
+        surface.position.set(0, 0.015, ROAD_WIDTH / 2 + armLength / 2);
+        surface.receiveShadow = true;
+        arm.add(surface);
+
+        [0.25, 0.75].forEach(along => {
+            const dash = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.01, 0.22), lineMaterial);
+            dash.position.set(0, 0.035, along * CELL_SIZE / 2);
+            arm.add(dash);
+        });
+    });
+
+    return group;
+}
+
+function updateRoadMesh(row, col) {
+    const cell = getCell(row, col);
+    if (cell.mesh) {
+        scene.remove(cell.mesh);
+    }
+    cell.mesh = createRoadMesh(getRoadSides(row, col));
+    cell.mesh.position.set(col * CELL_SIZE + CELL_SIZE / 2, 0, row * CELL_SIZE + CELL_SIZE / 2);
+    scene.add(cell.mesh);
+}
+
+// Redraw every road, for the end of a layout load
+function updateRoadMeshes() {
+    forEachCell((cell, row, col) => {
+        if (cell.kind === 'road') {
+            updateRoadMesh(row, col);
+        }
+    });
+    syncVehicles();
+}
+
+// A cell changed: redraw it and the roads beside it to meet it, and move the
+// traffic off it if it's no longer road. Layout loads redraw every road once
+// at the end instead.
+function refreshRoadsAround(row, col) {
+    if (isLoadingLayout) return;
+
+    let changed = vehicles.some(vehicle => vehicle.row === row && vehicle.col === col);
+    [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]].forEach(([dr, dc]) => {
+        if (isRoadCell(row + dr, col + dc)) {
+            updateRoadMesh(row + dr, col + dc);
+            changed = true;
+        }
+    });
+    if (changed) {
+        syncVehicles();
+    }
+}
+
+function createVehicle(color) {
+    const vehicle = new THREE.Group();
+    const paint = new THREE.MeshLambertMaterial({ color });
+
+    const body = new THREE.Mesh(new THREE.BoxGeometry(0.32, 0.12, 0.56), paint);
+    body.position.y = 0.12;
+    body.castShadow = true;
+    vehicle.add(body);
+
+    const cabin = new THREE.Mesh(new THREE.BoxGeometry(0.28, 0.1, 0.3), paint);
+    cabin.position.set(0, 0.23, -0.04);
+    cabin.castShadow = true;
+    vehicle.add(cabin);
+
+    const windscreen = new THREE.Mesh(
+        new THREE.BoxGeometry(0.24, 0.07, 0.01),
+        new THREE.MeshLambertMaterial({ color: 0x9FD3F0 })
+    );
+    windscreen.position.set(0, 0.23, 0.115);
+    vehicle.add(windscreen);
+
+    const wheelGeometry = new THREE.CylinderGeometry(0.06, 0.06, 0.04, 10);
+    wheelGeometry.rotateZ(Math.PI / 2);
+    const wheelMaterial = new THREE.MeshLambertMaterial({ color: 0x222222 });
+    [[-0.16, 0.17], [0.16, 0.17], [-0.16, -0.17], [0.16, -0.17]].forEach(([x, z]) => {
+        const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
+        wheel.position.set(x, 0.06, z);
+        vehicle.add(wheel);
+    });
+
+    return vehicle;
+}
+
+// Which way traffic leaving this cell goes: any way on along the road, and
+// back the way it came only at a dead end. Crossings with no road on their far
+// side are dead ends. Null if there's nowhere to go.
+function chooseVehicleExit(row, col, dir) {
+    const sides = getRoadSides(row, col).filter(side => {
+        const nextRow = row + DIR_OFFSETS[side].dr;
+        const nextCol = col + DIR_OFFSETS[side].dc;
+        return !isCrossingCell(getCell(nextRow, nextCol)) || getRoadSides(nextRow, nextCol).length === 2;
+    });
+    const back = dir === null ? null : (dir + 2) % 4;
+    const onward = sides.filter(side => side !== back);
+    const choices = onward.length > 0 ? onward : sides;
+    return choices.length > 0 ? choices[Math.floor(Math.random() * choices.length)] : null;
+}
+
+// Keep one vehicle for every ROAD_CELLS_PER_VEHICLE cells of road, dropping any
+// left off the road
+function syncVehicles() {
+    vehicles = vehicles.filter(vehicle => {
+        const cell = getCell(vehicle.row, vehicle.col);
+        if (cell.kind === 'road' || isCrossingCell(cell)) return true;
+        scene.remove(vehicle.mesh);
+        return false;
+    });
+
+    const cells = [];
+    forEachCell((cell, row, col) => {
+        if (cell.kind === 'road') cells.push([row, col]);
+    });
+
+    const wanted = Math.floor(cells.length / ROAD_CELLS_PER_VEHICLE);
+    while (vehicles.length > wanted) {
+        scene.remove(vehicles.pop().mesh);
+    }
+
+    // New vehicles start on a road cell of their own
+    const free = cells.filter(([row, col]) => !vehicles.some(vehicle => vehicle.row === row && vehicle.col === col));
+    while (vehicles.length < wanted && free.length > 0) {
+        const [row, col] = free.splice(Math.floor(Math.random() * free.length), 1)[0];
+        const exit = chooseVehicleExit(row, col, null);
+        const vehicle = {
+            mesh: createVehicle(VEHICLE_COLORS[Math.floor(Math.random() * VEHICLE_COLORS.length)]),
+            row,
+            col,
+            dir: exit === null ? DIR.DOWN : exit,
+            exit,
+            progress: Math.random(),
+            heading: { x: 0, z: 1 }
+        };
+        scene.add(vehicle.mesh);
+        vehicles.push(vehicle);
+        placeVehicle(vehicle);
+    }
+}
+
+// The curve a vehicle follows across its cell, from the middle of its lane at
+// the edge it came in by to the middle of its lane at the edge it leaves by
+function getVehiclePath(vehicle) {
+    const centerX = vehicle.col * CELL_SIZE + CELL_SIZE / 2;
+    const centerZ = vehicle.row * CELL_SIZE + CELL_SIZE / 2;
+    const inward = DIR_OFFSETS[vehicle.dir];
+    const outward = DIR_OFFSETS[vehicle.exit === null ? vehicle.dir : vehicle.exit];
+
+    // The left-hand lane, a distance along the way the vehicle faces
+    const lanePoint = (offset, along) => ({
+        x: centerX + offset.dc * along + offset.dr * LANE_OFFSET,
+        z: centerZ + offset.dr * along - offset.dc * LANE_OFFSET
+    });
+    const start = lanePoint(inward, -CELL_SIZE / 2);
+    const end = lanePoint(outward, CELL_SIZE / 2);
+
+    let control;
+    if (inward === outward) {
+        control = { x: (start.x + end.x) / 2, z: (start.z + end.z) / 2 };
+    } else if (inward.dr === -outward.dr && inward.dc === -outward.dc) {
+        // Turning back at a dead end, round the middle of the cell
+        control = { x: centerX + inward.dc * CELL_SIZE / 2, z: centerZ + inward.dr * CELL_SIZE / 2 };
+    } else {
+        // Where the two lanes meet
+        const reach = (end.x - start.x) * inward.dc + (end.z - start.z) * inward.dr;
+        control = { x: start.x + inward.dc * reach, z: start.z + inward.dr * reach };
+    }
+    return { start, control, end };
+}
+
+function placeVehicle(vehicle) {
+    const { start, control, end } = getVehiclePath(vehicle);
+    const t = vehicle.progress;
+    const a = (1 - t) * (1 - t);
+    const b = 2 * (1 - t) * t;
+    const c = t * t;
+    vehicle.mesh.position.set(a * start.x + b * control.x + c * end.x, 0, a * start.z + b * control.z + c * end.z);
+
+    const tangentX = (1 - t) * (control.x - start.x) + t * (end.x - control.x);
+    const tangentZ = (1 - t) * (control.z - start.z) + t * (end.z - control.z);
+    const length = Math.hypot(tangentX, tangentZ);
+    if (length > 0) {
+        vehicle.heading = { x: tangentX / length, z: tangentZ / length };
+        vehicle.mesh.rotation.y = Math.atan2(tangentX, tangentZ);
+    }
+}
+
+// A crossing is open to traffic once its barriers are all the way up
+function isCrossingOpen(crossing) {
+    return !crossing.active && (crossing.mesh.userData.arms || []).every(arm =>
+        Math.abs(arm.rotation.z - arm.userData.upRotation) < 0.01);
+}
+
+// Whether another vehicle is just ahead in this one's lane. Oncoming traffic
+// doesn't count, so two vehicles turning at a dead end never wait for each other.
+function isVehicleBlocked(vehicle) {
+    const { x, z } = vehicle.heading;
+    return vehicles.some(other => {
+        if (other === vehicle || other.heading.x * x + other.heading.z * z < -0.5) return false;
+        const dx = other.mesh.position.x - vehicle.mesh.position.x;
+        const dz = other.mesh.position.z - vehicle.mesh.position.z;
+        const ahead = dx * x + dz * z;
+        return ahead > 0 && ahead < VEHICLE_GAP && Math.abs(dx * z - dz * x) < LANE_OFFSET;
+    });
+}
+
+// Drive the traffic, queueing behind the vehicle ahead and short of closed crossings
+function updateVehicles(delta) {
+    vehicles.forEach(vehicle => {
+        // The road ahead was dug up, or there was none
+        const ahead = vehicle.exit === null ? null : getCell(
+            vehicle.row + DIR_OFFSETS[vehicle.exit].dr, vehicle.col + DIR_OFFSETS[vehicle.exit].dc);
+        if (!ahead || !(ahead.kind === 'road' || isCrossingCell(ahead))) {
+            vehicle.exit = chooseVehicleExit(vehicle.row, vehicle.col, vehicle.dir);
+            if (vehicle.exit === null) return;
+        }
+
+        if (isVehicleBlocked(vehicle)) return;
+
+        let progress = vehicle.progress + VEHICLE_SPEED * delta;
+        const next = getCell(vehicle.row + DIR_OFFSETS[vehicle.exit].dr, vehicle.col + DIR_OFFSETS[vehicle.exit].dc);
+        if (isCrossingCell(next) && vehicle.progress <= VEHICLE_STOP_PROGRESS) {
+            const crossing = getCrossingForCell(next);
+            if (crossing && !isCrossingOpen(crossing)) {
+                progress = Math.min(progress, VEHICLE_STOP_PROGRESS);
+            }
+        }
+
+        if (progress >= 1) {
+            vehicle.row += DIR_OFFSETS[vehicle.exit].dr;
+            vehicle.col += DIR_OFFSETS[vehicle.exit].dc;
+            vehicle.dir = vehicle.exit;
+            vehicle.exit = chooseVehicleExit(vehicle.row, vehicle.col, vehicle.dir);
+            progress -= 1;
+        }
+        vehicle.progress = progress;
+        placeVehicle(vehicle);
+    });
+}
+
+// ============================================================================
+// SCENERY
+// ============================================================================
+
+// Buildings and other scenery, each kept by its top-left cell and covering
+// every cell of its footprint. Footprints are given unturned; a piece turns a
+// quarter turn clockwise for each step of rotation, swapping its rows and
+// columns on odd steps. Scenery stands on flat, dry ground, and track can't
+// be laid through it.
+
+function getSceneryFootprint(piece) {
+    const footprint = SCENERY_FOOTPRINTS[piece.sceneryType];
+    const rows = piece.rotation % 2 === 0 ? footprint.rows : footprint.cols;
+    const cols = piece.rotation % 2 === 0 ? footprint.cols : footprint.rows;
+    const cells = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            cells.push({ row: piece.row + r, col: piece.col + c });
+        }
+    }
+    return cells;
+}
+
+function getSceneryForCell(cell) {
+    return scenery.find(piece =>
+        piece.row === cell.sceneryRow && piece.col === cell.sceneryCol
+    ) || null;
+}
+
+// Why a piece can't stand where it is, or null if it can. Trees are cleared
+// to make room; the ignored piece is one being turned.
+function getSceneryProblem(piece, ignore) {
+    for (const { row, col } of getSceneryFootprint(piece)) {
+        const cell = getCell(row, col);
+        if (cell.kind === 'track') return 'Cannot build on track';
+        if (cell.kind === 'road') return 'Cannot build on a road';
+        if (cell.kind === 'scenery' && getSceneryForCell(cell) !== ignore) return 'Something is already built here';
+        if (isHillCell(row, col)) return 'Buildings need flat ground';
+        if (isWaterCell(row, col)) return 'Cannot build in water';
+    }
+    return null;
+}
+
+// Scenery tools: tap open ground to put a piece down with its top-left corner
+// there, or tap a piece of the same kind to turn it
+function placeScenery(row, col, sceneryType) {
+    const cell = getCell(row, col);
+    const piece = cell.kind === 'scenery' ? getSceneryForCell(cell) : null;
+    if (piece && piece.sceneryType === sceneryType) {
+        turnScenery(piece);
+        return;
+    }
+    addScenery(row, col, sceneryType, 0);
+}
+
+function addScenery(row, col, sceneryType, rotation) {
+    const piece = { row, col, sceneryType, rotation, mesh: null };
+    const problem = getSceneryProblem(piece, null);
+    if (problem) {
+        console.log(problem);
+        return;
+    }
+
+    const cells = getSceneryFootprint(piece);
+    cells.forEach(({ row, col }) => {
+        const cell = getCell(row, col);
+        if (cell.mesh) {
+            scene.remove(cell.mesh); // A tree making room
+        }
+    });
+
+    piece.mesh = createSceneryMesh(sceneryType);
+    positionSceneryMesh(piece.mesh, piece);
+    addToList(scenery, piece, piece.mesh);
+    cells.forEach(({ row, col }) => {
+        setCell(row, col, { kind: 'scenery', mesh: piece.mesh, sceneryRow: piece.row, sceneryCol: piece.col });
+    });
+
+    playSound('place');
+}
+
+// A quarter turn clockwise about the top-left cell, if the turned footprint fits
+function turnScenery(piece) {
+    const turned = { ...piece, rotation: (piece.rotation + 1) % 4 };
+    const problem = getSceneryProblem(turned, piece);
+    if (problem) {
+        console.log(problem);
+        return;
+    }
+    removeScenery(piece);
+    addScenery(turned.row, turned.col, turned.sceneryType, turned.rotation);
+}
+
+function removeScenery(piece) {
+    removeFromList(scenery, piece, piece.mesh);
+    getSceneryFootprint(piece).forEach(({ row, col }) => clearCell(row, col));
+}
+
+// Turn a mesh built around its unturned footprint and stand it over the piece's cells
+function positionSceneryMesh(mesh, piece) {
+    const cells = getSceneryFootprint(piece);
+    const last = cells[cells.length - 1];
+    mesh.rotation.y = -piece.rotation * Math.PI / 2;
+    mesh.position.set(
+        (piece.col + last.col + 1) * CELL_SIZE / 2,
+        0,
+        (piece.row + last.row + 1) * CELL_SIZE / 2
+    );
+}
+
+function createSceneryMesh(sceneryType) {
+    const group = new THREE.Group();
+    if (sceneryType === 'house') {
+        createHouse(group);
+    } else if (sceneryType === 'church') {
+        createChurch(group);
+    } else if (sceneryType === 'farm') {
+        createFarm(group);
+    } else if (sceneryType === 'water-tower') {
+        createWaterTower(group);
+    } else if (sceneryType === 'lamp') {
+        createStreetLamp(group);
+    } else if (sceneryType === 'fence') {
+        createFence(group, CELL_SIZE, 0);
+    }
+    return group;
+}
+
+// Pitched roof running along z, with its gable ends facing front and back
+function createGableRoof(width, height, length, material) {
+    const shape = new THREE.Shape();
+    shape.moveTo(-width / 2, 0);
+    shape.lineTo(width / 2, 0);
+    shape.lineTo(0, height);
+    shape.lineTo(-width / 2, 0);
+
+    const geometry = new THREE.ExtrudeGeometry(shape, { depth: length, bevelEnabled: false });
+    geometry.translate(0, 0, -length / 2);
+    const roof = new THREE.Mesh(geometry, material);
+    roof.castShadow = true;
+    return roof;
+}
+
+// Boxes of one material, each [width, height, depth, x, y, z]
+function addBoxes(group, material, boxes) {
+    boxes.forEach(([width, height, depth, x, y, z]) => {
+        const box = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+        box.position.set(x, y, z);
+        box.castShadow = true;
+        box.receiveShadow = true;
+        group.add(box);
+    });
+}
+
+// One-cell cottage with its door facing +z
+function createHouse(group) {
+    addBoxes(group, new THREE.MeshLambertMaterial({ color: 0xF3E3C3 }), [[1.2, 0.7, 1.0, 0, 0.35, 0]]);
+    const roof = createGableRoof(1.4, 0.55, 1.2, new THREE.MeshLambertMaterial({ color: 0xB03A2E }));
+    roof.position.y = 0.7;
+    group.add(roof);
+
+    addBoxes(group, new THREE.MeshLambertMaterial({ color: 0x7A4A2A }), [
+        [0.2, 0.4, 0.03, 0, 0.2, 0.51], // Door
+        [0.14, 0.35, 0.14, 0.35, 1.05, -0.2] // Chimney
+    ]);
+    addBoxes(group, new THREE.MeshLambertMaterial({ color: 0x9FD3F0 }), [
+        [0.22, 0.2, 0.03, -0.35, 0.42, 0.51],
+        [0.22, 0.2, 0.03, 0.35, 0.42, 0.51]
+    ]);
+}
+
+// Two cells long: the nave behind, the tower and spire at the front (+z)
+function createChurch(group) {
+    const stone = new THREE.MeshLambertMaterial({ color: 0xD8D2C4 });
+    const slate = new THREE.MeshLambertMaterial({ color: 0x4F5B66 });
+
+    addBoxes(group, stone, [
+        [1.1, 0.95, 2.2, 0, 0.475, -0.5], // Nave
+        [0.7, 1.6, 0.7, 0, 0.8, 1.0] // Tower
+    ]);
+    const roof = createGableRoof(1.3, 0.6, 2.3, slate);
+    roof.position.set(0, 0.95, -0.5);
+    group.add(roof);
+
+    const spire = new THREE.Mesh(new THREE.ConeGeometry(0.48, 1.0, 4), slate);
+    spire.rotation.y = Math.PI / 4;
+    spire.position.set(0, 2.1, 1.0);
+    spire.castShadow = true;
+    group.add(spire);
+
+    const gold = new THREE.MeshLambertMaterial({ color: 0xE0B43C });
+    addBoxes(group, gold, [
+        [0.04, 0.3, 0.04, 0, 2.75, 1.0],
+        [0.18, 0.04, 0.04, 0, 2.8, 1.0]
+    ]);
+    addBoxes(group, new THREE.MeshLambertMaterial({ color: 0x6B3E26 }), [[0.3, 0.5, 0.03, 0, 0.25, 1.36]]);
+
+    // Tall windows down both sides of the nave
+    const glass = new THREE.MeshLambertMaterial({ color: 0x7FA7D9 });
+    [-0.55, 0.55].forEach(x => {
+        addBoxes(group, glass, [-1.2, -0.5, 0.2].map(z => [0.03, 0.45, 0.2, x, 0.5, z]));
+    });
+}
+
+// Two cells square: a barn and silo at the back, and a fenced paddock at the
+// front with animals wandering about in it
+function createFarm(group) {
+    const barnRed = new THREE.MeshLambertMaterial({ color: 0xA8322D });
+    addBoxes(group, barnRed, [[1.5, 1.0, 1.3, -0.9, 0.5, -1.05]]);
+    const roof = createGableRoof(1.7, 0.6, 1.4, new THREE.MeshLambertMaterial({ color: 0x5B5B5B }));
+    roof.position.set(-0.9, 1.0, -1.05);
+    group.add(roof);
+    addBoxes(group, new THREE.MeshLambertMaterial({ color: 0xF5F5F5 }), [[0.6, 0.7, 0.03, -0.9, 0.35, -0.39]]);
+
+    const silo = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.32, 0.32, 1.6, 12),
+        new THREE.MeshLambertMaterial({ color: 0xB8BCC2 })
+    );
+    silo.position.set(0.5, 0.8, -1.3);
+    silo.castShadow = true;
+    group.add(silo);
+    const dome = new THREE.Mesh(
+        new THREE.SphereGeometry(0.32, 12, 6, 0, Math.PI * 2, 0, Math.PI / 2),
+        new THREE.MeshLambertMaterial({ color: 0x8C9096 })
+    );
+    dome.position.set(0.5, 1.6, -1.3);
+    group.add(dome);
+
+    // Paddock fence, its sides built along x and turned for the ends
+    const paddock = { left: -1.8, right: 1.8, back: 0, front: 1.8 };
+    const width = paddock.right - paddock.left;
+    const depth = paddock.front - paddock.back;
+    [paddock.back, paddock.front].forEach(z => {
+        const side = new THREE.Group();
+        side.position.z = z;
+        createFence(side, width, 6);
+        group.add(side);
+    });
+    [paddock.left, paddock.right].forEach(x => {
+        const end = new THREE.Group();
+        end.position.set(x, 0, (paddock.back + paddock.front) / 2);
+        end.rotation.y = Math.PI / 2;
+        createFence(end, depth, 3);
+        group.add(end);
+    });
+
+    const animals = [];
+    [createCow, createCow, createSheep, createSheep, createSheep].forEach((create, i) => {
+        const animal = create();
+        animal.position.set(-1.2 + i * 0.6, 0, paddock.back + 0.5 + (i % 2) * 0.7);
+        animal.rotation.y = i * 1.3;
+        group.add(animal);
+        animals.push({ mesh: animal, target: null, wait: Math.random() * 3 });
+    });
+    group.userData.animals = animals;
+    group.userData.paddock = paddock;
+}
+
+function createCow() {
+    const cow = new THREE.Group();
+    addBoxes(cow, new THREE.MeshLambertMaterial({ color: 0xFAFAFA }), [[0.2, 0.16, 0.38, 0, 0.2, 0]]);
+    const dark = new THREE.MeshLambertMaterial({ color: 0x2B2B2B });
+    addBoxes(cow, dark, [
+        [0.14, 0.14, 0.14, 0, 0.28, 0.24], // Head
+        [0.21, 0.08, 0.12, 0, 0.22, -0.05] // Patch
+    ]);
+    addBoxes(cow, dark, [[-0.07, -0.13], [0.07, -0.13], [-0.07, 0.13], [0.07, 0.13]]
+        .map(([x, z]) => [0.04, 0.12, 0.04, x, 0.06, z]));
+    return cow;
+}
+
+function createSheep() {
+    const sheep = new THREE.Group();
+    const wool = new THREE.Mesh(
+        new THREE.SphereGeometry(0.13, 8, 6),
+        new THREE.MeshLambertMaterial({ color: 0xEEEAE0 })
+    );
+    wool.scale.set(1, 0.9, 1.3);
+    wool.position.y = 0.19;
+    wool.castShadow = true;
+    sheep.add(wool);
+    const dark = new THREE.MeshLambertMaterial({ color: 0x3A3A3A });
+    addBoxes(sheep, dark, [[0.08, 0.09, 0.1, 0, 0.23, 0.18]]);
+    addBoxes(sheep, dark, [[-0.05, -0.08], [0.05, -0.08], [-0.05, 0.08], [0.05, 0.08]]
+        .map(([x, z]) => [0.03, 0.1, 0.03, x, 0.05, z]));
+    return sheep;
+}
+
+function createWaterTower(group) {
+    const wood = new THREE.MeshLambertMaterial({ color: 0x5A3A1A });
+    addBoxes(group, wood, [[-0.35, -0.35], [0.35, -0.35], [-0.35, 0.35], [0.35, 0.35]]
+        .map(([x, z]) => [0.08, 1.4, 0.08, x, 0.7, z]));
+    addBoxes(group, wood, [
+        [0.78, 0.05, 0.05, 0, 0.6, -0.35],
+        [0.78, 0.05, 0.05, 0, 0.6, 0.35],
+        [0.05, 0.05, 0.78, -0.35, 0.6, 0],
+        [0.05, 0.05, 0.78, 0.35, 0.6, 0]
+    ]);
+
+    const tank = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.5, 0.5, 0.65, 16),
+        new THREE.MeshLambertMaterial({ color: 0x8B5A2B })
+    );
+    tank.position.y = 1.72;
+    tank.castShadow = true;
+    group.add(tank);
+
+    const roof = new THREE.Mesh(
+        new THREE.ConeGeometry(0.56, 0.35, 16),
+        new THREE.MeshLambertMaterial({ color: 0x4F5B66 })
+    );
+    roof.position.y = 2.22;
+    roof.castShadow = true;
+    group.add(roof);
+
+    // Spout swung out over the track side
+    addBoxes(group, new THREE.MeshLambertMaterial({ color: 0x333333 }), [[0.08, 0.08, 0.5, 0, 1.5, 0.7]]);
+}
+
+// Lamp post at the front edge of its cell, its head reaching out over the next
+function createStreetLamp(group) {
+    const metal = new THREE.MeshLambertMaterial({ color: 0x2F3640 });
+    const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.05, 1.5, 8), metal);
+    pole.position.set(0, 0.75, 0.8);
+    pole.castShadow = true;
+    group.add(pole);
+    addBoxes(group, metal, [
+        [0.05, 0.05, 0.45, 0, 1.48, 1.0],
+        [0.16, 0.06, 0.2, 0, 1.45, 1.2]
+    ]);
+
+    const bulb = new THREE.Mesh(
+        new THREE.SphereGeometry(0.06, 8, 6),
+        new THREE.MeshStandardMaterial({ color: 0xFFF3B0, emissive: 0xFFE27A, emissiveIntensity: 0.9 })
+    );
+    bulb.position.set(0, 1.39, 1.2);
+    group.add(bulb);
+}
+
+// A run of fence along x, centred on the group, with posts between sections
+function createFence(group, length, sections) {
+    const wood = new THREE.MeshLambertMaterial({ color: 0xC8A26B });
+    const count = sections || Math.round(length / 0.5);
+    const posts = [];
+    for (let i = 0; i <= count; i++) {
+        posts.push([0.06, 0.34, 0.06, -length / 2 + i * length / count, 0.17, 0]);
+    }
+    addBoxes(group, wood, posts);
+    addBoxes(group, wood, [
+        [length, 0.04, 0.03, 0, 0.14, 0],
+        [length, 0.04, 0.03, 0, 0.27, 0]
+    ]);
+}
+
+// Farm animals amble to a spot in their paddock, stand about a while, and
+// pick another
+function updateScenery(delta) {
+    scenery.forEach(piece => {
+        const { animals, paddock } = piece.mesh.userData;
+        if (!animals) return;
+
+        animals.forEach(animal => {
+            if (animal.wait > 0) {
+                animal.wait -= delta;
+                return;
+            }
+            if (!animal.target) {
+                animal.target = {
+                    x: paddock.left + 0.3 + Math.random() * (paddock.right - paddock.left - 0.6),
+                    z: paddock.back + 0.3 + Math.random() * (paddock.front - paddock.back - 0.6)
+                };
+            }
+
+            const position = animal.mesh.position;
+            const dx = animal.target.x - position.x;
+            const dz = animal.target.z - position.z;
+            const distance = Math.hypot(dx, dz);
+            if (distance < 0.02) {
+                animal.target = null;
+                animal.wait = 2 + Math.random() * 4;
+                return;
+            }
+
+            const step = Math.min(distance, ANIMAL_SPEED * delta);
+            position.x += dx / distance * step;
+            position.z += dz / distance * step;
+            const heading = Math.atan2(dx, dz);
+            const turn = Math.atan2(Math.sin(heading - animal.mesh.rotation.y), Math.cos(heading - animal.mesh.rotation.y));
+            animal.mesh.rotation.y += turn * Math.min(1, delta * 4);
+        });
+    });
+}
+
+// ============================================================================
+// UI
+// ============================================================================
+
+function initUI() {
+    // Play button
+    const playBtn = document.getElementById('play-btn');
+    playBtn.addEventListener('click', () => {
+        isPlaying = !isPlaying;
+        if (isPlaying) {
+            playBtn.textContent = '⏸️';
+            playBtn.classList.add('playing');
+            playSound('start');
+            updateSteamEngineSound();
+        } else {
+            playBtn.textContent = '▶️';
+            playBtn.classList.remove('playing');
+            updateSteamEngineSound();
+        }
+    });
+
+    // Undo / redo buttons
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac)
+    window.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey)) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        } else if (key === 'y') {
+            event.preventDefault();
+            redo();
+        } else if (key === 'c' && selectedTool === 'select' && selection) {
+            event.preventDefault();
+            copySelection();
+        } else if (key === 'v' && selectedTool === 'select' && clipboard) {
+            event.preventDefault();
+            toggleSelectionAction('paste');
+        }
+    });
+    updateHistoryButtons();
+
+    // Menu with world actions
+    const menuBtn = document.getElementById('menu-btn');
+    const menuPanel = document.getElementById('menu-panel');
+    menuBtn.addEventListener('click', () => {
+        menuPanel.classList.toggle('visible');
+    });
+
+    document.getElementById('new-world-btn').addEventListener('click', () => {
+        menuPanel.classList.remove('visible');
+        const size = askWorldSize('How many cells across should the new world be?');
+        if (size === null) return;
+        recordEdit('new world', () => restoreLayout({ version: LAYOUT_VERSION, size: size }));
+        openSaveId = null;
+        showToast(`Started a new empty ${size}×${size} world`);
+    });
+
+    document.getElementById('resize-world-btn').addEventListener('click', () => {
+        menuPanel.classList.remove('visible');
+        const size = askWorldSize('How many cells across should the ground be? Track past the new edge keeps the ground around it.');
+        if (size === null || size === gridSize) return;
+        recordEdit('resize world', () => resizeWorld(size));
+        showToast(`The ground is now ${size}×${size}`);
+    });
+
+    document.getElementById('demo-world-btn').addEventListener('click', () => {
+        menuPanel.classList.remove('visible');
+        recordEdit('demo layout', () => restoreLayout(DEFAULT_LAYOUT));
+        openSaveId = null;
+        showToast('Demo layout restored');
+    });
+
+    document.getElementById('saves-btn').addEventListener('click', () => {
+        menuPanel.classList.remove('visible');
+        openSavesPanel();
+    });
+    document.getElementById('save-current-btn').addEventListener('click', saveCurrentWorld);
+    document.getElementById('saves-close-btn').addEventListener('click', () => {
+        document.getElementById('saves-panel').classList.remove('visible');
+    });
+
+    document.getElementById('share-btn').addEventListener('click', () => {
+        menuPanel.classList.remove('visible');
+        shareLayout();
+    });
+
+    // A share link pasted into this tab
+    window.addEventListener('hashchange', () => {
+        recordEdit('open shared layout', openShareLink);
+    });
+
+    // Layout files
+    const fileInput = document.getElementById('layout-file-input');
+    document.getElementById('download-btn').addEventListener('click', () => {
+        menuPanel.classList.remove('visible');
+        downloadLayout();
+    });
+    document.getElementById('open-file-btn').addEventListener('click', () => {
+        menuPanel.classList.remove('visible');
+        fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            importLayoutFile(fileInput.files[0]);
+        }
+        fileInput.value = ''; // Let the same file be picked again
+    });
+
+    // Drop a layout file onto the world to open it
+    const container = document.getElementById('canvas-container');
+    container.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        container.classList.add('drag-over');
+    });
+    container.addEventListener('dragleave', () => {
+        container.classList.remove('drag-over');
+    });
+    container.addEventListener('drop', (event) => {
+        event.preventDefault();
+        container.classList.remove('drag-over');
+        const file = event.dataTransfer.files[0];
+        if (file) {
+            importLayoutFile(file);
+        }
+    });
+
+    // Save straight away when leaving the page
+    window.addEventListener('pagehide', flushAutosave);
+
+    // Crash mode button
+    const crashBtn = document.getElementById('crash-btn');
+    crashBtn.addEventListener('click', () => {
+        crashMode = !crashMode;
+        crashBtn.classList.toggle('active', crashMode);
+        // Leaving crash mode clears up: wrecks go back on the rails
+        if (!crashMode) {
+            trains.filter(train => train.derailed).forEach(rerailTrain);
+        }
+    });
+
+    // Sound button
+    const soundBtn = document.getElementById('sound-btn');
+    soundBtn.addEventListener('click', () => {
+        soundEnabled = !soundEnabled;
+        soundBtn.textContent = soundEnabled ? '🔊' : '🔇';
+        updateSteamEngineSound();
+    });
+
+    // Item buttons
+    document.querySelectorAll('.item-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const newTool = btn.dataset.type;
+            // Exit follow mode if switching away from follow tool
+            if (selectedTool === 'follow' && newTool !== 'follow' && followingTrain) {
+                exitFollowMode();
+            }
+            selectedTool = newTool;
+            if (newTool !== 'select') {
+                selectionAction = null;
+                setSelection(null);
+            }
+            updateSelection();
+            updateSelectionPanel();
+        });
+    });
+
+    // Selection actions
+    document.getElementById('copy-btn').addEventListener('click', copySelection);
+    document.getElementById('paste-btn').addEventListener('click', () => toggleSelectionAction('paste'));
+    document.getElementById('move-btn').addEventListener('click', () => toggleSelectionAction('move'));
+    document.getElementById('rotate-btn').addEventListener('click', () => {
+        recordEdit('rotate selection', () => transformSelection('rotate'));
+    });
+    document.getElementById('mirror-btn').addEventListener('click', () => {
+        recordEdit('mirror selection', () => transformSelection('mirror'));
+    });
+    updateSelectionPanel();
+
+    // Speed slider for the followed train
+    const speedSlider = document.getElementById('speed-slider');
+    speedSlider.addEventListener('input', () => {
+        if (followingTrain) {
+            followingTrain.speed = parseFloat(speedSlider.value);
+            scheduleAutosave();
+        }
+    });
+
+    // Wheel event for zooming in follow mode
+    renderer.domElement.addEventListener('wheel', (event) => {
+        if (followingTrain) {
+            event.preventDefault();
+            const zoomSpeed = 0.001;
+            followCameraDistance += event.deltaY * zoomSpeed;
+            followCameraDistance = Math.max(0.5, Math.min(10, followCameraDistance));
+        }
+    }, { passive: false });
+
+    // Touch events for pinch zoom in follow mode
+    renderer.domElement.addEventListener('touchstart', (event) => {
+        if (followingTrain && event.touches.length === 2) {
+            const dx = event.touches[0].clientX - event.touches[1].clientX;
+            const dy = event.touches[0].clientY - event.touches[1].clientY;
+            lastPinchDistance = Math.sqrt(dx * dx + dy * dy);
+        }
+    });
+
+    renderer.domElement.addEventListener('touchmove', (event) => {
+        if (followingTrain && event.touches.length === 2 && lastPinchDistance !== null) {
+            event.preventDefault();
+            const dx = event.touches[0].clientX - event.touches[1].clientX;
+            const dy = event.touches[0].clientY - event.touches[1].clientY;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            const delta = lastPinchDistance - distance;
+            followCameraDistance += delta * 0.01;
+            followCameraDistance = Math.max(0.5, Math.min(10, followCameraDistance));
+            lastPinchDistance = distance;
+        }
+    }, { passive: false });
+
+    renderer.domElement.addEventListener('touchend', (event) => {
+        if (event.touches.length < 2) {
+            lastPinchDistance = null;
+        }
+    });
+
+    updateSelection();
+}
+
+function updateSelection() {
+    document.querySelectorAll('.item-btn').forEach(btn => {
+        if (btn.dataset.type === selectedTool) {
+            btn.classList.add('selected');
+        } else {
+            btn.classList.remove('selected');
+        }
+    });
+}
+
+// ============================================================================
+// POINTER / TAP HANDLING
+// ============================================================================
+
+function onPointerDown(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointerDownPos = {
+        x: event.clientX - rect.left,
+        y: event.clientY - rect.top
+    };
+}
+
+function onPointerUp(event) {
+    if (!pointerDownPos) return;
+
+    const rect = renderer.domElement.getBoundingClientRect();
+    const upX = event.clientX - rect.left;
+    const upY = event.clientY - rect.top;
+    const dx = upX - pointerDownPos.x;
+    const dy = upY - pointerDownPos.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    // Only count as a tap if pointer didn't move much
+    if (dist < 10) {
+        pointer.x = ((upX / renderer.domElement.clientWidth) * 2) - 1;
+        pointer.y = (-(upY / renderer.domElement.clientHeight) * 2) + 1;
+        recordEdit(selectedTool, handleTap);
+        updateGhostPreview();
+    }
+
+    pointerDownPos = null;
+}
+
+function handleTap() {
+    raycaster.setFromCamera(pointer, camera);
+
+    // In follow mode, check for train clicks to follow
+    if (selectedTool === 'follow') {
+        const train = pickTrain();
+        if (train) {
+            // Toggle follow mode
+            if (followingTrain === train) {
+                exitFollowMode();
+            } else {
+                enterFollowMode(train);
+            }
+            return;
+        }
+    }
+
+    // In delete mode, check for trains first
+    if (selectedTool === 'delete') {
+        const train = pickTrain();
+        if (train) {
+            removeTrain(train);
+            playSound('place');
+            updateSteamEngineSound();
+            return;
+        }
+
+        // Check for track and tree hits
+        const trackMeshes = [];
+        world.forEach(cell => {
+            if (cell.mesh) {
+                trackMeshes.push(cell.mesh);
+            }
+        });
+        const trackIntersects = raycaster.intersectObjects(trackMeshes, true);
+
+        if (trackIntersects.length > 0) {
+            const point = trackIntersects[0].point;
+            const col = Math.floor(point.x / CELL_SIZE);
+            const row = Math.floor(point.z / CELL_SIZE);
+            deleteTrack(row, col);
+            return;
+        }
+    }
+
+    // In car-passenger or car-caboose mode, check for trains to attach car to
+    if (selectedTool.startsWith('car-')) {
+        const train = pickTrain();
+        if (train) {
+            addCarToTrain(train, selectedTool); // Use selectedTool to get the car type
+            return;
+        }
+    }
+
+    // In throttle mode, tapping a train steps through its speed settings
+    if (selectedTool === 'throttle') {
+        const train = pickTrain();
+        if (train) {
+            // The next setting up from the current speed, which the slider can
+            // leave between settings, wrapping round to stopped
+            const faster = TRAIN_SPEEDS.find(speed => speed > train.speed);
+            setTrainSpeed(train, faster === undefined ? TRAIN_SPEEDS[0] : faster);
+            console.log('Train speed:', train.speed);
+            playSound('place');
+            return;
+        }
+    }
+
+    // In end-of-line mode, tapping a train cycles what it does at a dead end
+    if (selectedTool === 'train-ends') {
+        const train = pickTrain();
+        if (train) {
+            const previous = train.endOfLine;
+            const endOfLine = END_OF_LINE_MODES[(END_OF_LINE_MODES.indexOf(previous) + 1) % END_OF_LINE_MODES.length];
+            train.endOfLine = endOfLine;
+            recordStep(() => { train.endOfLine = previous; }, () => { train.endOfLine = endOfLine; });
+            showToast(END_OF_LINE_MESSAGES[endOfLine]);
+            playSound('place');
+            return;
+        }
+    }
+
+    // Use ground plane intersection
+    const cell = getGroundCell();
+    if (!cell) return;
+    const { row, col } = cell;
+
+    if (selectedTool === 'straight' || selectedTool === 'curve') {
+        placeTrackSmart(row, col, selectedTool);
+    } else if (selectedTool === 'switch') {
+        placeSwitch(row, col);
+    } else if (selectedTool === 'diamond') {
+        placeDiamond(row, col);
+    } else if (selectedTool === 'signal') {
+        placeSignal(row, col);
+    } else if (selectedTool === 'crossing') {
+        placeCrossing(row, col);
+    } else if (selectedTool === 'station') {
+        placeStation(row, col);
+    } else if (selectedTool === 'tunnel') {
+        placeTunnel(row, col);
+    } else if (selectedTool === 'bridge') {
+        placeBridge(row, col);
+    } else if (selectedTool === 'ramp') {
+        placeRamp(row, col);
+    } else if (selectedTool === 'tree') {
+        placeTree(row, col);
+    } else if (selectedTool.startsWith('scenery-')) {
+        placeScenery(row, col, selectedTool.slice('scenery-'.length));
+    } else if (selectedTool === 'select') {
+        placeSelectionAt(row, col);
+    } else if (selectedTool.startsWith('engine-')) {
+        placeTrain(row, col, selectedTool);
+    } else if (selectedTool === 'delete') {
+        deleteTrack(row, col);
+    }
+}
+
+// Put a train on the layout (also used to undo its removal)
+function addTrain(train) {
+    train.segments.forEach(seg => scene.add(seg.mesh));
+    trains.push(train);
+    recordStep(() => removeTrain(train), () => addTrain(train));
+}
+
+function removeTrain(train) {
+    // If following this train, exit follow mode first
+    if (followingTrain === train) {
+        exitFollowMode();
+    }
+    // Remove all segment meshes
+    train.segments.forEach(seg => scene.remove(seg.mesh));
+    trains.splice(trains.indexOf(train), 1);
+    recordStep(() => addTrain(train), () => removeTrain(train));
+}
+
+// ============================================================================
+// TRACK DRAWING
+// ============================================================================
+
+// Grid cell under a pointer event, or null when it's not over the ground
+function getCellFromEvent(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = (((event.clientX - rect.left) / renderer.domElement.clientWidth) * 2) - 1;
+    pointer.y = (-((event.clientY - rect.top) / renderer.domElement.clientHeight) * 2) + 1;
+    raycaster.setFromCamera(pointer, camera);
+    return getGroundCell();
+}
+
+// Draw tool: a left-button or one-finger drag lays track along the cells it
+// passes. Disabling the controls here stops OrbitControls from also turning
+// the camera; right-drag and the other tools still move it.
+function onDrawPointerDown(event) {
+    if (selectedTool !== 'draw' || followingTrain || drawStroke) return;
+    if (event.target !== renderer.domElement || !event.isPrimary || event.button !== 0) return;
+
+    const cell = getCellFromEvent(event);
+    if (!cell) return;
+
+    controls.enabled = false;
+    drawStroke = {
+        path: [cell],
+        pointerId: event.pointerId,
+        moved: false,
+        finishEdit: beginEdit('draw')
+    };
+}
+
+function onDrawPointerMove(event) {
+    if (!drawStroke || event.pointerId !== drawStroke.pointerId) return;
+
+    const cell = getCellFromEvent(event);
+    if (!cell) return;
+
+    // A fast drag can skip cells, so walk to the pointer one neighbor at a time
+    const path = drawStroke.path;
+    let last = path[path.length - 1];
+    while (last.row !== cell.row || last.col !== cell.col) {
+        const dr = cell.row - last.row;
+        const dc = cell.col - last.col;
+        const next = Math.abs(dr) >= Math.abs(dc)
+            ? { row: last.row + Math.sign(dr), col: last.col }
+            : { row: last.row, col: last.col + Math.sign(dc) };
+        extendDrawStroke(next);
+        last = path[path.length - 1];
+    }
+}
+
+function onDrawPointerUp(event) {
+    if (!drawStroke || event.pointerId !== drawStroke.pointerId) return;
+
+    const path = drawStroke.path;
+    const last = path[path.length - 1];
+    if (path.length === 1) {
+        // A tap in draw mode behaves like the straight tool
+        if (!drawStroke.moved) {
+            placeTrackSmart(last.row, last.col, 'straight');
+        }
+    } else if (path.length > 3 && last.row === path[0].row && last.col === path[0].col) {
+        // Closed a loop: join the end back into the first piece
+        layDrawnCell(last, getSideToward(last, path[path.length - 2]), getSideToward(last, path[1]));
+    } else {
+        layDrawnCell(last, getSideToward(last, path[path.length - 2]), null);
+    }
+
+    if (path.length > 1) {
+        updateNeighborTracks(path[0].row, path[0].col);
+        updateNeighborTracks(last.row, last.col);
+    }
+
+    drawStroke.finishEdit();
+    drawStroke = null;
+}
+
+// Add a cell to the stroke. Each cell is laid once the cell after it is known,
+// since that decides whether it is a straight or a curve.
+function extendDrawStroke(cell) {
+    const path = drawStroke.path;
+    const last = path[path.length - 1];
+    const previous = path[path.length - 2];
+    drawStroke.moved = true;
+
+    // Dragging back over the last cell takes it off the stroke
+    if (previous && previous.row === cell.row && previous.col === cell.col) {
+        path.pop();
+        return;
+    }
+
+    const entrySide = previous ? getSideToward(last, previous) : null;
+    layDrawnCell(last, getSideToward(last, cell), entrySide);
+    path.push(cell);
+}
+
+// Direction from a cell to the adjacent cell
+function getSideToward(from, to) {
+    return DIR_OFFSETS.findIndex(offset =>
+        from.row + offset.dr === to.row && from.col + offset.dc === to.col);
+}
+
+// Lay the piece joining two sides of a cell. With only one side known (the ends
+// of a stroke), join onto existing track beside the cell if there is any,
+// otherwise carry straight on.
+function layDrawnCell(cell, sideA, sideB) {
+    const { row, col } = cell;
+    const existing = getCell(row, col);
+
+    if (existing.kind === 'tree' || existing.kind === 'road' || existing.kind === 'scenery') return;
+    if (existing.kind === 'track' && !isPlainTrack(existing.trackType)) return;
+
+    const passingThrough = sideB !== null;
+    if (!passingThrough) {
+        // Drawing out from an existing line keeps the piece already there
+        if (existing.kind === 'track' && getTrackSides(existing.trackType).includes(sideA)) return;
+        sideB = findConnectingSide(row, col, sideA);
+    }
+
+    let trackType;
+    if (sideB === null || sideB === (sideA + 2) % 4) {
+        trackType = sideA === DIR.LEFT || sideA === DIR.RIGHT ? 'straight-h' : 'straight-v';
+    } else {
+        trackType = Object.keys(CURVE_SIDES).find(type =>
+            CURVE_SIDES[type].includes(sideA) && CURVE_SIDES[type].includes(sideB));
+    }
+
+    // Only straights cross hills and water, as tunnels and trestles
+    trackType = fitStraightToGround(row, col, trackType);
+
+    if (existing.trackType === trackType) return;
+    const problem = getTrackToolProblem(row, col, trackType);
+    if (problem) {
+        console.log(problem);
+        return;
+    }
+
+    // Drawing straight across a straight on the other axis makes a diamond
+    if (passingThrough && existing.kind === 'track' &&
+        existing.trackType.startsWith('straight-') && trackType.startsWith('straight-')) {
+        placeTrackPiece(row, col, 'diamond');
+        return;
+    }
+
+    placeTrackPiece(row, col, trackType);
+}
+
+// Side of the cell with a neighboring track that opens toward it, preferring
+// the side straight across from fromSide. Null if there is none.
+function findConnectingSide(row, col, fromSide) {
+    const sides = [(fromSide + 2) % 4, (fromSide + 1) % 4, (fromSide + 3) % 4];
+    for (const side of sides) {
+        const neighbor = getTrackAt(row + DIR_OFFSETS[side].dr, col + DIR_OFFSETS[side].dc);
+        if (neighbor && getTrackSides(neighbor.trackType).includes((side + 2) % 4)) {
+            return side;
+        }
+    }
+    return null;
+}
+
+function isPlainTrack(trackType) {
+    return trackType.startsWith('straight-') || trackType.startsWith('curve-');
+}
+
+function setTrainSpeed(train, speed) {
+    const previous = train.speed;
+    train.speed = speed;
+    if (train === followingTrain) {
+        document.getElementById('speed-slider').value = speed;
+    }
+    recordStep(() => setTrainSpeed(train, previous), () => setTrainSpeed(train, speed));
+}
+
+// Returns the train under the current raycaster, or null
+function pickTrain() {
+    const trainMeshes = [];
+    trains.forEach(t => {
+        t.segments.forEach(seg => trainMeshes.push(seg.mesh));
+    });
+    const trainIntersects = raycaster.intersectObjects(trainMeshes, true);
+
+    if (trainIntersects.length === 0) {
+        return null;
+    }
+
+    // Traverse up to find the segment mesh
+    let clickedSegmentMesh = trainIntersects[0].object;
+    while (clickedSegmentMesh.parent && !trains.some(t =>
+        t.segments.some(seg => seg.mesh === clickedSegmentMesh)
+    )) {
+        clickedSegmentMesh = clickedSegmentMesh.parent;
+    }
+
+    // Find which train was clicked
+    return trains.find(t =>
+        t.segments.some(seg => seg.mesh === clickedSegmentMesh)
+    ) || null;
+}
+
+// ============================================================================
+// SELECTION
+// ============================================================================
+
+// The select tool marks a rectangle of cells by dragging, like the draw tool.
+// Its panel copies, pastes, moves, rotates and mirrors what's inside. Paste
+// and move wait for a tap on the cell where the top-left corner should go.
+
+function onSelectPointerDown(event) {
+    if (selectedTool !== 'select' || selectionAction || followingTrain || selectionDrag) return;
+    if (event.target !== renderer.domElement || !event.isPrimary || event.button !== 0) return;
+
+    const cell = getCellFromEvent(event);
+    if (!cell) return;
+
+    controls.enabled = false;
+    selectionDrag = { start: cell, pointerId: event.pointerId };
+    setSelection({ top: cell.row, left: cell.col, bottom: cell.row, right: cell.col });
+}
+
+function onSelectPointerMove(event) {
+    if (!selectionDrag || event.pointerId !== selectionDrag.pointerId) return;
+
+    const cell = getCellFromEvent(event);
+    if (!cell) return;
+
+    const start = selectionDrag.start;
+    setSelection({
+        top: Math.min(start.row, cell.row),
+        left: Math.min(start.col, cell.col),
+        bottom: Math.max(start.row, cell.row),
+        right: Math.max(start.col, cell.col)
+    });
+}
+
+function onSelectPointerUp(event) {
+    if (!selectionDrag || event.pointerId !== selectionDrag.pointerId) return;
+    selectionDrag = null;
+}
+
+function setSelection(rect) {
+    if (selectionMesh) {
+        scene.remove(selectionMesh);
+        selectionMesh.geometry.dispose();
+        selectionMesh.material.dispose();
+        selectionMesh = null;
+    }
+    selection = rect;
+
+    if (rect) {
+        const width = (rect.right - rect.left + 1) * CELL_SIZE;
+        const depth = (rect.bottom - rect.top + 1) * CELL_SIZE;
+        selectionMesh = new THREE.Mesh(
+            new THREE.BoxGeometry(width, 0.1, depth),
+            new THREE.MeshBasicMaterial({ color: 0x3399ff, transparent: true, opacity: 0.3, depthWrite: false })
+        );
+        selectionMesh.position.set(rect.left * CELL_SIZE + width / 2, 0.05, rect.top * CELL_SIZE + depth / 2);
+        scene.add(selectionMesh);
+    }
+    updateSelectionPanel();
+}
+
+function updateSelectionPanel() {
+    document.getElementById('selection-panel').classList.toggle('visible', selectedTool === 'select');
+    ['copy-btn', 'move-btn', 'rotate-btn', 'mirror-btn'].forEach(id => {
+        document.getElementById(id).disabled = !selection;
+    });
+    document.getElementById('paste-btn').disabled = !clipboard;
+    document.getElementById('paste-btn').classList.toggle('active', selectionAction === 'paste');
+    document.getElementById('move-btn').classList.toggle('active', selectionAction === 'move');
+}
+
+function copySelection() {
+    if (!selection) return;
+    clipboard = copyRegion(selection);
+    showToast('Copied! Tap 📌 Paste, then the spot for the top-left corner');
+    updateSelectionPanel();
+}
+
+function toggleSelectionAction(action) {
+    selectionAction = selectionAction === action ? null : action;
+    if (selectionAction) {
+        showToast('Tap where the top-left corner should go');
+    }
+    updateSelectionPanel();
+}
+
+// The tap after Paste or Move: put the region down with its top-left corner here
+function placeSelectionAt(row, col) {
+    if (selectionAction === 'paste' && clipboard) {
+        pasteRegion(clipboard, row, col, null);
+    } else if (selectionAction === 'move' && selection) {
+        pasteRegion(copyRegion(selection), row, col, selection);
+    }
+    selectionAction = null;
+    updateSelectionPanel();
+}
+
+function pasteRegion(region, top, left, sourceRect) {
+    const target = { top, left, bottom: top + region.rows - 1, right: left + region.cols - 1 };
+    rebuildRegion(sourceRect ? [sourceRect, target] : [target], region, top, left);
+    setSelection(target);
+    playSound('place');
+}
+
+// Rotate or mirror the selection where it stands. Rotating keeps the top-left
+// corner in place, so a long selection swings down and to the right.
+function transformSelection(mode) {
+    if (!selection) return;
+
+    const region = transformRegion(copyRegion(selection), mode);
+    const target = {
+        top: selection.top,
+        left: selection.left,
+        bottom: selection.top + region.rows - 1,
+        right: selection.left + region.cols - 1
+    };
+    rebuildRegion([selection, target], region, selection.top, selection.left);
+    setSelection(target);
+    playSound('place');
+}
+
+function isTwoCellTrack(trackType) {
+    return trackType.startsWith('crossing-') || trackType.startsWith('station-');
+}
+
+// The layout items inside a rectangle, in serializeLayout's format with rows
+// and cols relative to its top-left corner, plus its size. Crossings and
+// stations come along only when both their cells are inside, scenery when all
+// of its cells are, and trains when their engine is.
+function copyRegion(rect) {
+    const layout = serializeLayout();
+    const inside = (row, col) => row >= rect.top && row <= rect.bottom && col >= rect.left && col <= rect.right;
+    const pieceInside = (row, col, horizontal) => inside(row, col) && inside(horizontal ? row : row + 1, horizontal ? col + 1 : col);
+    const relative = item => ({ ...item, row: item.row - rect.top, col: item.col - rect.left });
+
+    return {
+        rows: rect.bottom - rect.top + 1,
+        cols: rect.right - rect.left + 1,
+        tracks: layout.tracks.filter(track => isTwoCellTrack(track.trackType)
+            ? pieceInside(track.row, track.col, track.trackType.endsWith('-h'))
+            : inside(track.row, track.col)).map(relative),
+        trains: layout.trains.filter(train => inside(train.row, train.col)).map(relative),
+        crossings: layout.crossings.filter(piece => pieceInside(piece.row, piece.col, piece.horizontal)).map(relative),
+        signals: layout.signals.filter(signal => inside(signal.row, signal.col)).map(relative),
+        stations: layout.stations.filter(piece => pieceInside(piece.row, piece.col, piece.horizontal)).map(relative),
+        trees: layout.trees.filter(tree => inside(tree.row, tree.col)).map(relative),
+        terrain: layout.terrain.filter(hill => inside(hill.row, hill.col)).map(relative),
+        water: layout.water.filter(pool => inside(pool.row, pool.col)).map(relative),
+        roads: layout.roads.filter(road => inside(road.row, road.col)).map(relative),
+        scenery: layout.scenery.filter(piece => getSceneryFootprint(piece).every(cell => inside(cell.row, cell.col))).map(relative)
+    };
+}
+
+// A region turned a quarter turn clockwise, or mirrored left to right
+function transformRegion(region, mode) {
+    const rotate = mode === 'rotate';
+    const mapSide = rotate
+        ? side => (side + 1) % 4
+        : side => (side === DIR.LEFT || side === DIR.RIGHT ? (side + 2) % 4 : side);
+    const mapCell = rotate
+        ? (row, col) => ({ row: col, col: region.rows - 1 - row })
+        : (row, col) => ({ row: row, col: region.cols - 1 - col });
+    const mapItem = item => ({ ...item, ...mapCell(item.row, item.col) });
+
+    // Two-cell pieces are kept by their top or left cell, which may now be the other one
+    const mapPiece = (item, horizontal) => {
+        const start = mapCell(item.row, item.col);
+        const end = mapCell(horizontal ? item.row : item.row + 1, horizontal ? item.col + 1 : item.col);
+        return { ...item, row: Math.min(start.row, end.row), col: Math.min(start.col, end.col) };
+    };
+    const mapTwoCell = piece => ({
+        ...mapPiece(piece, piece.horizontal),
+        horizontal: rotate ? !piece.horizontal : piece.horizontal
+    });
+
+    return {
+        rows: rotate ? region.cols : region.rows,
+        cols: rotate ? region.rows : region.cols,
+        tracks: region.tracks.map(track => ({
+            ...(isTwoCellTrack(track.trackType) ? mapPiece(track, track.trackType.endsWith('-h')) : mapItem(track)),
+            trackType: transformTrackType(track.trackType, mapSide)
+        })),
+        trains: region.trains.map(train => ({
+            ...mapItem(train),
+            dir: mapSide(train.dir),
+            enterDir: mapSide(train.enterDir)
+        })),
+        crossings: region.crossings.map(mapTwoCell),
+        signals: region.signals.map(signal => ({ ...mapItem(signal), dir: mapSide(signal.dir) })),
+        stations: region.stations.map(mapTwoCell),
+        trees: region.trees.map(mapItem),
+        terrain: region.terrain.map(mapItem),
+        water: region.water.map(mapItem),
+        roads: region.roads.map(mapItem),
+        scenery: region.scenery.map(piece => {
+            // Kept by the top-left of the turned footprint, and turned along with it
+            const cells = getSceneryFootprint(piece).map(cell => mapCell(cell.row, cell.col));
+            return {
+                ...piece,
+                row: Math.min(...cells.map(cell => cell.row)),
+                col: Math.min(...cells.map(cell => cell.col)),
+                rotation: rotate ? (piece.rotation + 1) % 4 : (4 - piece.rotation) % 4
+            };
+        })
+    };
+}
+
+// The piece whose edges are trackType's edges moved by mapSide
+function transformTrackType(trackType, mapSide) {
+    if (trackType === 'diamond') {
+        return trackType;
+    }
+    if (trackType.startsWith('switch-')) {
+        const legs = getSwitchLegs(trackType);
+        const straight = transformTrackType(legs.straight, mapSide);
+        const diverging = transformTrackType(legs.diverging, mapSide);
+        return `switch-${straight.slice('straight-'.length)}-${diverging.slice('curve-'.length)}`;
+    }
+    if (trackType.startsWith('overpass-')) {
+        // The deck takes its new axis and the line beneath follows
+        const deck = transformTrackType(trackType.replace('overpass-', 'straight-'), mapSide);
+        return deck.replace('straight-', 'overpass-');
+    }
+    if (trackType.startsWith('ramp-')) {
+        const half = trackType.split('-')[2];
+        return `ramp-${SIDE_LETTERS[mapSide(getRampSide(trackType))]}-${half}`;
+    }
+
+    const sides = getTrackSides(trackType).map(mapSide);
+    const plainType = PLAIN_TRACK_TYPES.find(type => getTrackSides(type).every(side => sides.includes(side)));
+
+    // Tunnels, crossings, stations, bridges and trestles keep their kind and take the new axis
+    const kind = trackType.split('-')[0];
+    return kind === 'straight' || kind === 'curve' ? plainType : `${kind}-${plainType.slice('straight-'.length)}`;
+}
+
+// Region items moved to start at (top, left), dropping anything that would
+// land past WORLD_LIMIT
+function offsetRegion(region, top, left) {
+    const pieceFits = (row, col, horizontal) => isInWorld(row, col) && isInWorld(horizontal ? row : row + 1, horizontal ? col + 1 : col);
+    const move = item => ({ ...item, row: item.row + top, col: item.col + left });
+
+    return {
+        tracks: region.tracks.map(move).filter(track => isTwoCellTrack(track.trackType)
+            ? pieceFits(track.row, track.col, track.trackType.endsWith('-h'))
+            : isInWorld(track.row, track.col)),
+        trains: region.trains.map(move).filter(train => isInWorld(train.row, train.col)),
+        crossings: region.crossings.map(move).filter(piece => pieceFits(piece.row, piece.col, piece.horizontal)),
+        signals: region.signals.map(move).filter(signal => isInWorld(signal.row, signal.col)),
+        stations: region.stations.map(move).filter(piece => pieceFits(piece.row, piece.col, piece.horizontal)),
+        trees: region.trees.map(move).filter(tree => isInWorld(tree.row, tree.col)),
+        terrain: region.terrain.map(move).filter(hill => isInWorld(hill.row, hill.col)),
+        water: region.water.map(move).filter(pool => isInWorld(pool.row, pool.col)),
+        roads: region.roads.map(move).filter(road => isInWorld(road.row, road.col)),
+        scenery: region.scenery.map(move).filter(piece => getSceneryFootprint(piece).every(cell => isInWorld(cell.row, cell.col)))
+    };
+}
+
+// Clear the rectangles, then lay the region with its top-left corner at
+// (top, left). Runs like a layout load: no placement sounds, no auto-connect.
+function rebuildRegion(clearRects, region, top, left) {
+    isLoadingLayout = true;
+    try {
+        clearRects.forEach(clearRegion);
+        addLayoutItems(offsetRegion(region, top, left));
+    } finally {
+        isLoadingLayout = false;
+    }
+    updateSteamEngineSound();
+}
+
+// Remove everything in a rectangle, flatten its hills and drain its water. Trains with any part
+// inside go too, and crossings and stations reaching into it are removed whole.
+function clearRegion(rect) {
+    const inside = (row, col) => row >= rect.top && row <= rect.bottom && col >= rect.left && col <= rect.right;
+
+    trains.filter(train => train.segments.some(seg => inside(seg.row, seg.col))).forEach(removeTrain);
+
+    for (let r = rect.top; r <= rect.bottom; r++) {
+        for (let c = rect.left; c <= rect.right; c++) {
+            if (getCell(r, c).kind) {
+                deleteTrack(r, c);
+            }
+            setTerrainLevel(r, c, 0);
+            setWaterCell(r, c, false);
+        }
+    }
+}
+
+// ============================================================================
+// GHOST PREVIEW
+// ============================================================================
+
+// Mouse users see a see-through copy of what a tap would place under the
+// pointer, tinted red where the tap would be rejected. Touch has no hover, so
+// it never shows there.
+
+// What the selected tool would place at a cell: { type, row, col, valid }, where
+// type is a track type, 'tree' or an engine type. Two-cell pieces are placed at
+// their first cell. Null for tools that don't place anything.
+function getTapPreview(row, col) {
+    const cell = getCell(row, col);
+    const trackType = cell.kind === 'track' ? cell.trackType : null;
+    const preview = (type, valid) => ({ type, row, col, valid });
+
+    if (selectedTool === 'straight' || selectedTool === 'draw') {
+        const type = getTrackToolType(row, col, 'straight');
+        return type ? preview(type, !getTrackToolProblem(row, col, type)) : preview('straight-h', false);
+    } else if (selectedTool === 'curve') {
+        const type = getTrackToolType(row, col, 'curve');
+        return preview(type, !getTrackToolProblem(row, col, type));
+    } else if (selectedTool === 'switch') {
+        if (trackType && trackType.startsWith('switch-')) {
+            return preview(trackType, !isCellOccupiedByTrain(row, col));
+        }
+        const type = chooseSwitchType(row, col);
+        return type ? preview(type, !getGroundProblem(row, col)) : preview('switch-h-tl', false);
+    } else if (selectedTool === 'diamond') {
+        return preview('diamond', (!trackType || trackType.startsWith('straight-')) && !getGroundProblem(row, col));
+    } else if (selectedTool === 'crossing') {
+        const horizontal = getCrossingOrientation(row, col);
+        const nextRow = horizontal ? row : row + 1;
+        const nextCol = horizontal ? col + 1 : col;
+        const fits = !(getCell(nextRow, nextCol).trackType || '').startsWith('crossing-') &&
+            !getCrossingGroundProblem(row, col) && !getCrossingGroundProblem(nextRow, nextCol);
+        return preview(horizontal ? 'crossing-h' : 'crossing-v', fits);
+    } else if (selectedTool === 'station') {
+        if (trackType && trackType.startsWith('station-')) {
+            return { type: trackType, row: cell.stationRow, col: cell.stationCol, valid: true };
+        }
+        const horizontal = getStationOrientation(row, col);
+        const nextRow = horizontal ? row : row + 1;
+        const nextCol = horizontal ? col + 1 : col;
+        const blocked = getGroundProblem(row, col) || getGroundProblem(nextRow, nextCol) ||
+            isCellOccupiedByTrain(row, col) || isCellOccupiedByTrain(nextRow, nextCol);
+        return preview(horizontal ? 'station-h' : 'station-v', !blocked);
+    } else if (selectedTool === 'tunnel') {
+        const onStraight = trackType === 'straight-h' || trackType === 'straight-v';
+        return preview(trackType === 'straight-v' ? 'tunnel-v' : 'tunnel-h', onStraight);
+    } else if (selectedTool === 'bridge') {
+        const type = getBridgeToolType(row, col);
+        const valid = (!trackType || !isCellOccupiedByTrain(row, col)) && !getBridgeGroundProblem(row, col);
+        return type ? preview(type, valid) : preview('bridge-h', false);
+    } else if (selectedTool === 'ramp') {
+        const pieces = getRampToolPieces(row, col);
+        const piece = pieces.find(p => p.row === row && p.col === col);
+        return preview(piece.trackType, canPlaceRamp(pieces));
+    } else if (selectedTool === 'tree') {
+        return preview('tree', (!cell.kind || cell.kind === 'tree') && !isWaterCell(row, col));
+    } else if (selectedTool.startsWith('scenery-')) {
+        // Tapping a piece of the same kind turns it where it stands
+        const sceneryType = selectedTool.slice('scenery-'.length);
+        const piece = cell.kind === 'scenery' ? getSceneryForCell(cell) : null;
+        const turning = piece && piece.sceneryType === sceneryType;
+        const shown = turning
+            ? { ...piece, rotation: (piece.rotation + 1) % 4 }
+            : { row, col, sceneryType, rotation: 0 };
+        const valid = !getSceneryProblem(shown, turning ? piece : null);
+        return { type: selectedTool, row: shown.row, col: shown.col, rotation: shown.rotation, valid };
+    } else if (selectedTool.startsWith('engine-')) {
+        return preview(selectedTool, !getTrainProblem(row, col));
+    }
+    return null;
+}
+
+function onPointerMove(event) {
+    // Only a mouse hovering with no buttons held; dragging is for the camera
+    hoverCell = event.pointerType === 'mouse' && event.buttons === 0 ? getCellFromEvent(event) : null;
+    updateGhostPreview();
+}
+
+function onPointerLeave() {
+    hoverCell = null;
+    updateGhostPreview();
+}
+
+// Show the preview for the hovered cell, rebuilding the ghost only when what
+// it shows has changed
+function updateGhostPreview() {
+    const preview = hoverCell && !followingTrain && !drawStroke ? getTapPreview(hoverCell.row, hoverCell.col) : null;
+    const key = preview ? `${preview.type}@${preview.row},${preview.col}:${preview.rotation || 0}:${preview.valid}` : null;
+    if (ghostPreview && ghostPreview.key === key) return;
+
+    removeGhostPreview();
+    if (!preview) return;
+
+    const mesh = createGhostMesh(preview);
+    scene.add(mesh);
+    ghostPreview = { key, mesh };
+}
+
+function removeGhostPreview() {
+    if (!ghostPreview) return;
+
+    scene.remove(ghostPreview.mesh);
+    ghostPreview.mesh.traverse(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) [].concat(child.material).forEach(material => material.dispose());
+    });
+    ghostPreview = null;
+}
+
+function createGhostMesh(preview) {
+    const { type, row, col } = preview;
+    let mesh;
+    if (type === 'tree') {
+        mesh = new THREE.Group();
+        createTree(mesh, 0);
+    } else if (type.startsWith('scenery-')) {
+        mesh = createSceneryMesh(type.slice('scenery-'.length));
+    } else if (type.startsWith('engine-')) {
+        mesh = createEngineMesh(type);
+    } else {
+        mesh = createTrackMesh(type);
+    }
+
+    // Two-cell pieces sit across both cells, like placeCrossing and addStation lay them
+    const horizontal = type.endsWith('-h');
+    const twoCells = type.startsWith('crossing-') || type.startsWith('station-');
+    const nextRow = twoCells && !horizontal ? row + 1 : row;
+    const nextCol = twoCells && horizontal ? col + 1 : col;
+    mesh.position.set(
+        (col + nextCol) * CELL_SIZE / 2 + CELL_SIZE / 2,
+        0.02, // Just above the piece it would replace
+        (row + nextRow) * CELL_SIZE / 2 + CELL_SIZE / 2
+    );
+    if (type === 'tree') {
+        mesh.position.y += getTerrainHeight(row, col); // On the hill top, like placeTree
+    } else if (type.startsWith('scenery-')) {
+        positionSceneryMesh(mesh, { row, col, sceneryType: type.slice('scenery-'.length), rotation: preview.rotation });
+        mesh.position.y = 0.02;
+    } else if (type.startsWith('engine-') && preview.valid) {
+        // On the rails where placeTrain puts it, lifted onto a bridge or ramp
+        const { initialDir, initialEnterDir } = getTrainStart(getCell(row, col));
+        mesh.position.y = 0.08;
+        updateSegmentPosition({ mesh, row, col, dir: initialDir, enterDir: initialEnterDir, progress: 0, facingBack: false });
+    }
+
+    // Materials are shared between pieces, so the ghost gets its own copies
+    const ghostMaterial = material => {
+        const copy = material.clone();
+        copy.transparent = true;
+        copy.opacity = GHOST_OPACITY;
+        copy.depthWrite = false;
+        if (!preview.valid && copy.color) {
+            copy.color.set(GHOST_INVALID_COLOR);
+        }
+        return copy;
+    };
+    mesh.traverse(child => {
+        child.castShadow = false;
+        child.receiveShadow = false;
+        if (!child.material) return;
+
+        child.material = Array.isArray(child.material) ? child.material.map(ghostMaterial) : ghostMaterial(child.material);
+    });
+    return mesh;
+}
+
+// ============================================================================
+// TRACK CREATION
+// ============================================================================
+
+function createTrackMesh(type) {
+    const group = new THREE.Group();
+
+    if (type === 'straight-h' || type === 'straight-v') {
+        createStraightTrack(group, type === 'straight-h');
+    } else if (type === 'crossing-h' || type === 'crossing-v') {
+        createLevelCrossing(group, type === 'crossing-h');
+    } else if (type === 'station-h' || type === 'station-v') {
+        createStation(group, type === 'station-h');
+    } else if (type === 'tunnel-h' || type === 'tunnel-v') {
+        createTunnelTrack(group, type === 'tunnel-h');
+    } else if (type.startsWith('curve-')) {
+        createCurvedTrack(group, type);
+    } else if (type.startsWith('switch-')) {
+        createSwitchTrack(group, type);
+    } else if (type === 'diamond') {
+        // Diamond crossing: both straights laid through the same cell
+        createStraightTrack(group, true);
+        createStraightTrack(group, false);
+    } else if (type === 'trestle-h' || type === 'trestle-v') {
+        createTrestleTrack(group, type === 'trestle-h');
+    } else if (type === 'bridge-h' || type === 'bridge-v') {
+        createElevatedTrack(group, type === 'bridge-h', BRIDGE_HEIGHT, BRIDGE_HEIGHT, [0]);
+    } else if (type === 'overpass-h' || type === 'overpass-v') {
+        // Bridge over a line on the ground, with piers either side of it
+        createStraightTrack(group, type === 'overpass-v');
+        createElevatedTrack(group, type === 'overpass-h', BRIDGE_HEIGHT, BRIDGE_HEIGHT, [-0.8, 0.8]);
+    } else if (type.startsWith('ramp-')) {
+        const horizontal = isHorizontalRamp(type);
+        const startHeight = getEdgeHeight(type, horizontal ? DIR.LEFT : DIR.UP);
+        const endHeight = getEdgeHeight(type, horizontal ? DIR.RIGHT : DIR.DOWN);
+        createElevatedTrack(group, horizontal, startHeight, endHeight, [0]);
+    } else if (type === 'tree') {
+        createTree(group);
+    }
+
+    return group;
+}
+
+function createStraightTrack(group, horizontal) {
+    const trackLength = CELL_SIZE * 0.99;
+    const sleeperCount = 5;
+    const sleeperSpacing = trackLength / (sleeperCount - 1);
+    const sleeperWidth = 0.15;
+    const sleeperLength = SLEEPER_LENGTH;
 
     // Sleepers (brown wooden ties)
     const sleeperGeometry = new THREE.BoxGeometry(
@@ -742,6 +3094,92 @@ function createStraightTrack(group, horizontal) {
     group.add(rail1, rail2);
 }
 
+// Straight track on a deck climbing from startHeight at its left (or top) edge
+// to endHeight at its right (or bottom) edge, standing on piers at the given
+// offsets from the middle of the cell
+function createElevatedTrack(group, horizontal, startHeight, endHeight, pierOffsets) {
+    const rise = endHeight - startHeight;
+    const length = Math.hypot(CELL_SIZE, rise);
+
+    // Built along x, then turned for vertical pieces
+    const piece = new THREE.Group();
+    piece.rotation.y = horizontal ? 0 : -Math.PI / 2;
+    group.add(piece);
+
+    const deck = new THREE.Group();
+    deck.position.y = (startHeight + endHeight) / 2;
+    deck.rotation.z = Math.atan2(rise, CELL_SIZE);
+    piece.add(deck);
+
+    // Stretch the track so a sloping deck still reaches both edges
+    const track = new THREE.Group();
+    track.scale.x = length / CELL_SIZE;
+    createStraightTrack(track, true);
+    deck.add(track);
+
+    const concreteMaterial = new THREE.MeshLambertMaterial({ color: 0xa8a8a8 });
+    const slab = new THREE.Mesh(new THREE.BoxGeometry(length, DECK_THICKNESS, 1.0), concreteMaterial);
+    slab.position.y = -DECK_THICKNESS / 2;
+    slab.castShadow = true;
+    slab.receiveShadow = true;
+    deck.add(slab);
+
+    // Low walls along both edges of the deck
+    const wallGeometry = new THREE.BoxGeometry(length, 0.12, 0.06);
+    [-0.47, 0.47].forEach(z => {
+        const wall = new THREE.Mesh(wallGeometry, concreteMaterial);
+        wall.position.set(0, 0.06, z);
+        wall.castShadow = true;
+        deck.add(wall);
+    });
+
+    // Piers from the ground up to the underside of the deck
+    const pierMaterial = new THREE.MeshLambertMaterial({ color: 0x8c8c8c });
+    pierOffsets.forEach(x => {
+        const height = startHeight + rise * (x / CELL_SIZE + 0.5) - DECK_THICKNESS;
+        if (height < 0.05) return;
+
+        const pier = new THREE.Mesh(new THREE.BoxGeometry(0.25, height, 0.8), pierMaterial);
+        pier.position.set(x, height / 2, 0);
+        pier.castShadow = true;
+        pier.receiveShadow = true;
+        piece.add(pier);
+    });
+}
+
+// Straight track on a low wooden deck, for crossing water at ground level
+function createTrestleTrack(group, horizontal) {
+    createStraightTrack(group, horizontal);
+
+    // Built along x, then turned for vertical pieces
+    const piece = new THREE.Group();
+    piece.rotation.y = horizontal ? 0 : -Math.PI / 2;
+    group.add(piece);
+
+    const woodMaterial = new THREE.MeshLambertMaterial({ color: 0x9C6B3C });
+    const deck = new THREE.Mesh(new THREE.BoxGeometry(CELL_SIZE, 0.06, 1.1), woodMaterial);
+    deck.position.y = 0.01; // Top just above the water, under the sleepers
+    deck.receiveShadow = true;
+    piece.add(deck);
+
+    // A rail on posts along each side
+    const railGeometry = new THREE.BoxGeometry(CELL_SIZE, 0.05, 0.05);
+    const postGeometry = new THREE.BoxGeometry(0.06, 0.22, 0.06);
+    [-0.52, 0.52].forEach(z => {
+        const rail = new THREE.Mesh(railGeometry, woodMaterial);
+        rail.position.set(0, 0.2, z);
+        rail.castShadow = true;
+        piece.add(rail);
+
+        [-0.8, 0, 0.8].forEach(x => {
+            const post = new THREE.Mesh(postGeometry, woodMaterial);
+            post.position.set(x, 0.1, z);
+            post.castShadow = true;
+            piece.add(post);
+        });
+    });
+}
+
 function createTunnelTrack(group, horizontal) {
     // Create the base straight track first
     createStraightTrack(group, horizontal);
@@ -969,6 +3407,60 @@ function createCurvedTrack(group, type) {
     group.add(outerRailMesh);
 }
 
+function createSwitchTrack(group, type) {
+    // A switch is a straight leg and a curved (diverging) leg laid in the same cell
+    const legs = getSwitchLegs(type);
+    createStraightTrack(group, legs.straight === 'straight-h');
+    createCurvedTrack(group, legs.diverging);
+
+    // Ground throw lever beside the toe, on the opposite side from the diverging leg
+    const toeOffset = DIR_OFFSETS[legs.toe];
+    const divergingSide = CURVE_SIDES[legs.diverging].find(side => side !== legs.toe);
+    const sideOffset = DIR_OFFSETS[divergingSide];
+    const leverX = (toeOffset.dc - sideOffset.dc) * CELL_SIZE * 0.35;
+    const leverZ = (toeOffset.dr - sideOffset.dr) * CELL_SIZE * 0.35;
+
+    const standMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
+    const stand = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.12, 0.16), standMaterial);
+    stand.position.set(leverX, 0.06, leverZ);
+    stand.castShadow = true;
+    group.add(stand);
+
+    const post = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.025, 0.4, 8), standMaterial);
+    post.position.set(leverX, 0.32, leverZ);
+    post.castShadow = true;
+    group.add(post);
+
+    // Target disc shows which way the points are set (see updateSwitchIndicator)
+    const target = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.12, 0.12, 0.03, 16),
+        new THREE.MeshStandardMaterial({
+            color: 0x2ecc71,
+            emissive: 0x2ecc71,
+            emissiveIntensity: 0.3
+        })
+    );
+    target.position.set(leverX, 0.56, leverZ);
+    target.castShadow = true;
+    group.add(target);
+
+    group.userData.pointTarget = target;
+    group.userData.straightIsHorizontal = legs.straight === 'straight-h';
+}
+
+function updateSwitchIndicator(group, points) {
+    const target = group.userData.pointTarget;
+    if (!target) return;
+
+    const color = points === 'diverging' ? 0xf1c40f : 0x2ecc71;
+    target.material.color.setHex(color);
+    target.material.emissive.setHex(color);
+
+    // Disc faces along the straight leg when set straight, and turns edge-on when diverging
+    const faceStraight = group.userData.straightIsHorizontal ? Math.PI / 2 : 0;
+    target.rotation.set(Math.PI / 2, 0, points === 'diverging' ? faceStraight + Math.PI / 2 : faceStraight);
+}
+
 function createLevelCrossing(group, horizontal) {
     // Double length track
     const trackLength = CELL_SIZE * 2 * 0.99;
@@ -1519,6 +4011,173 @@ function createLevelCrossing(group, horizontal) {
     group.userData.lightState = 0; // For alternating flash
 }
 
+// Signal post beside the exit edge of a cell. Built for a train travelling
+// toward +Z; the lamps face back toward the approaching train.
+function createSignal(group) {
+    const poleMaterial = new THREE.MeshStandardMaterial({
+        color: 0x333333,
+        metalness: 0.5,
+        roughness: 0.6
+    });
+    const headMaterial = new THREE.MeshStandardMaterial({
+        color: 0x1a1a1a,
+        roughness: 0.8
+    });
+
+    // Right-hand side of the track, just before the cell edge
+    const postX = -0.7;
+    const postZ = CELL_SIZE * 0.35;
+
+    const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.05, 1.4, 8), poleMaterial);
+    pole.position.set(postX, 0.7, postZ);
+    pole.castShadow = true;
+    group.add(pole);
+
+    const base = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.06, 0.2), poleMaterial);
+    base.position.set(postX, 0.03, postZ);
+    group.add(base);
+
+    const head = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.56, 0.14), headMaterial);
+    head.position.set(postX, 1.4, postZ);
+    head.castShadow = true;
+    group.add(head);
+
+    // Three lamps, red on top
+    const lamps = {};
+    const lampColors = { red: 0xff2020, yellow: 0xffcc00, green: 0x20ff40 };
+    ['red', 'yellow', 'green'].forEach((aspect, i) => {
+        const lamp = new THREE.Mesh(
+            new THREE.CircleGeometry(0.06, 16),
+            new THREE.MeshStandardMaterial({
+                color: 0x222222,
+                emissive: lampColors[aspect],
+                emissiveIntensity: 0
+            })
+        );
+        lamp.position.set(postX, 1.57 - i * 0.17, postZ - 0.071);
+        lamp.rotation.y = Math.PI;
+        group.add(lamp);
+
+        // Hood over each lamp
+        const hood = new THREE.Mesh(new THREE.BoxGeometry(0.16, 0.02, 0.08), headMaterial);
+        hood.position.set(postX, 1.57 - i * 0.17 + 0.07, postZ - 0.1);
+        group.add(hood);
+
+        lamps[aspect] = lamp;
+    });
+
+    group.userData.lamps = lamps;
+}
+
+// Two cells of straight track with a platform and shelter alongside. The
+// platform sits on the +Z side of a horizontal station and the -X side of a
+// vertical one (see getPlatformSide).
+function createStation(group, horizontal) {
+    // Built along X, then turned for vertical stations
+    const station = new THREE.Group();
+    station.rotation.y = horizontal ? 0 : -Math.PI / 2;
+    group.add(station);
+
+    // Track through both cells
+    [-1, 1].forEach(side => {
+        const half = new THREE.Group();
+        createStraightTrack(half, true);
+        half.position.x = side * CELL_SIZE / 2;
+        station.add(half);
+    });
+
+    const platformLength = CELL_SIZE * 2 * 0.95;
+    const platformWidth = 0.55;
+
+    // Platform
+    const platformMaterial = new THREE.MeshStandardMaterial({
+        color: 0xb0a89a,
+        roughness: 0.9
+    });
+    const platform = new THREE.Mesh(
+        new THREE.BoxGeometry(platformLength, PLATFORM_HEIGHT, platformWidth),
+        platformMaterial
+    );
+    platform.position.set(0, PLATFORM_HEIGHT / 2, PLATFORM_OFFSET);
+    platform.castShadow = true;
+    platform.receiveShadow = true;
+    station.add(platform);
+
+    // Yellow safety line along the platform edge
+    const edgeLine = new THREE.Mesh(
+        new THREE.BoxGeometry(platformLength, 0.01, 0.05),
+        new THREE.MeshStandardMaterial({ color: 0xFFD700, roughness: 0.8 })
+    );
+    edgeLine.position.set(0, PLATFORM_HEIGHT + 0.005, PLATFORM_OFFSET - platformWidth / 2 + 0.06);
+    station.add(edgeLine);
+
+    // Shelter: back wall, posts and a sloping roof
+    const woodMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
+    const roofMaterial = new THREE.MeshStandardMaterial({ color: 0xB22222, roughness: 0.7 });
+    const shelterLength = 1.6;
+
+    const backWall = new THREE.Mesh(new THREE.BoxGeometry(shelterLength, 0.6, 0.05), woodMaterial);
+    backWall.position.set(0, PLATFORM_HEIGHT + 0.3, PLATFORM_OFFSET + platformWidth / 2 - 0.05);
+    backWall.castShadow = true;
+    station.add(backWall);
+
+    [-1, 1].forEach(side => {
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.025, 0.025, 0.6, 8), woodMaterial);
+        post.position.set(side * (shelterLength / 2 - 0.05), PLATFORM_HEIGHT + 0.3, PLATFORM_OFFSET - 0.1);
+        post.castShadow = true;
+        station.add(post);
+    });
+
+    const roof = new THREE.Mesh(new THREE.BoxGeometry(shelterLength + 0.2, 0.04, platformWidth), roofMaterial);
+    roof.position.set(0, PLATFORM_HEIGHT + 0.62, PLATFORM_OFFSET + 0.02);
+    roof.rotation.x = -0.15; // Slopes down toward the track
+    roof.castShadow = true;
+    station.add(roof);
+
+    // Bench under the shelter
+    const bench = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.04, 0.14), woodMaterial);
+    bench.position.set(0, PLATFORM_HEIGHT + 0.15, PLATFORM_OFFSET + 0.12);
+    station.add(bench);
+
+    // Name board on the roof edge
+    const board = new THREE.Mesh(
+        new THREE.BoxGeometry(0.5, 0.14, 0.02),
+        new THREE.MeshStandardMaterial({ color: 0x1E4D8C, roughness: 0.5 })
+    );
+    board.position.set(0, PLATFORM_HEIGHT + 0.72, PLATFORM_OFFSET - 0.2);
+    station.add(board);
+}
+
+// Small passenger figure standing at the origin
+function createPassengerFigure() {
+    const group = new THREE.Group();
+    const shirtColors = [0xE74C3C, 0x3498DB, 0x2ECC71, 0xF39C12, 0x9B59B6];
+    const shirtMaterial = new THREE.MeshLambertMaterial({
+        color: shirtColors[Math.floor(Math.random() * shirtColors.length)]
+    });
+
+    const legs = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.035, 0.035, 0.1, 8),
+        new THREE.MeshLambertMaterial({ color: 0x2C3E50 })
+    );
+    legs.position.y = 0.05;
+    group.add(legs);
+
+    const body = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.05, 0.12, 8), shirtMaterial);
+    body.position.y = 0.16;
+    body.castShadow = true;
+    group.add(body);
+
+    const head = new THREE.Mesh(
+        new THREE.SphereGeometry(0.04, 8, 8),
+        new THREE.MeshLambertMaterial({ color: 0xF5CBA7 })
+    );
+    head.position.y = 0.26;
+    group.add(head);
+
+    return group;
+}
+
 function createTree(group, treeType = null) {
     // If no type specified, randomly choose one
     if (treeType === null) {
@@ -1650,11 +4309,11 @@ function createEngineMesh(engineType) {
     return engineMesh;
 }
 
-function createCarMesh(carType) {
+function createCarMesh(carType, cargo = null) {
     if (carType === 'car-passenger') {
         return createPassengerCar();
     } else if (carType === 'car-freight') {
-        return createFreightCar();
+        return createFreightCar(cargo);
     } else if (carType === 'car-caboose') {
         return createCaboose();
     }
@@ -2159,27 +4818,88 @@ function createPassengerCar() {
     return group;
 }
 
-function createFreightCar() {
+function createFreightCar(cargo = null) {
     const group = new THREE.Group();
 
-    // Body (brown box)
-    const bodyGeometry = new THREE.BoxGeometry(0.55, 0.45, 0.8);
+    // Randomly choose a load if not specified
+    if (cargo === null) {
+        cargo = FREIGHT_CARGO[Math.floor(Math.random() * FREIGHT_CARGO.length)];
+    }
+
+    // Open wagon: floor and low sides (brown) so the load shows
     const bodyMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-    body.position.y = 0.325;
-    body.castShadow = true;
-    group.add(body);
+    const floor = new THREE.Mesh(new THREE.BoxGeometry(0.55, 0.08, 0.8), bodyMaterial);
+    floor.position.y = 0.14;
+    floor.castShadow = true;
+    group.add(floor);
+
+    const sideGeometry = new THREE.BoxGeometry(0.04, 0.25, 0.8);
+    [-1, 1].forEach(side => {
+        const wall = new THREE.Mesh(sideGeometry, bodyMaterial);
+        wall.position.set(side * 0.255, 0.305, 0);
+        wall.castShadow = true;
+        group.add(wall);
+    });
+
+    const endGeometry = new THREE.BoxGeometry(0.55, 0.25, 0.04);
+    [-1, 1].forEach(side => {
+        const wall = new THREE.Mesh(endGeometry, bodyMaterial);
+        wall.position.set(0, 0.305, side * 0.38);
+        wall.castShadow = true;
+        group.add(wall);
+    });
+
+    // Stakes along the sides
+    const stakeGeometry = new THREE.BoxGeometry(0.05, 0.27, 0.04);
+    const stakeMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
+    [-1, 1].forEach(side => {
+        [-0.25, 0, 0.25].forEach(z => {
+            const stake = new THREE.Mesh(stakeGeometry, stakeMaterial);
+            stake.position.set(side * 0.27, 0.305, z);
+            group.add(stake);
+        });
+    });
 
-    // Door lines
-    const doorGeometry = new THREE.BoxGeometry(0.02, 0.4, 0.3);
-    const doorMaterial = new THREE.MeshLambertMaterial({ color: 0x654321 });
-    const door1 = new THREE.Mesh(doorGeometry, doorMaterial);
-    door1.position.set(0.28, 0.325, 0);
-    group.add(door1);
+    // The load
+    if (cargo === 'crates') {
+        const crateMaterial = new THREE.MeshLambertMaterial({ color: 0xDEB887 });
+        const crates = [[-0.12, 0.27, -0.18], [0.12, 0.27, -0.18], [0, 0.27, 0.17], [0, 0.45, -0.18]];
+        crates.forEach(([x, y, z]) => {
+            const crate = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.18, 0.26), crateMaterial);
+            crate.position.set(x, y, z);
+            crate.castShadow = true;
+            group.add(crate);
+        });
+    } else if (cargo === 'logs') {
+        const logMaterial = new THREE.MeshLambertMaterial({ color: 0xA0522D });
+        const logEndMaterial = new THREE.MeshLambertMaterial({ color: 0xF5DEB3 });
+        const logs = [[-0.13, 0.24], [0, 0.24], [0.13, 0.24], [-0.065, 0.35], [0.065, 0.35]];
+        logs.forEach(([x, y]) => {
+            const log = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.065, 0.065, 0.78, 10),
+                [logMaterial, logEndMaterial, logEndMaterial]
+            );
+            log.rotation.x = Math.PI / 2;
+            log.position.set(x, y, 0);
+            log.castShadow = true;
+            group.add(log);
+        });
+    } else if (cargo === 'coal') {
+        const coalMaterial = new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.6, metalness: 0.2 });
+        const heap = new THREE.Mesh(new THREE.BoxGeometry(0.46, 0.16, 0.7), coalMaterial);
+        heap.position.y = 0.26;
+        group.add(heap);
+
+        // Lumps heaped on top
+        for (let i = 0; i < 10; i++) {
+            const lump = new THREE.Mesh(new THREE.DodecahedronGeometry(0.07), coalMaterial);
+            lump.position.set((Math.random() - 0.5) * 0.3, 0.36 + Math.random() * 0.05, (Math.random() - 0.5) * 0.55);
+            lump.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+            group.add(lump);
+        }
+    }
 
-    const door2 = new THREE.Mesh(doorGeometry, doorMaterial);
-    door2.position.set(-0.28, 0.325, 0);
-    group.add(door2);
+    group.userData.cargo = cargo;
 
     // Wheels
     addWheels(group);
@@ -2317,197 +5037,596 @@ function addWheels(group) {
 // CAR ATTACHMENT
 // ============================================================================
 
-function addCarToTrain(train, carType) {
+function addCarToTrain(train, carType, cargo = null) {
+    // Create new car mesh
+    const carMesh = createCarMesh(carType, cargo);
+    const segment = { type: carType, mesh: carMesh };
+    if (carMesh.userData.cargo) {
+        segment.cargo = carMesh.userData.cargo;
+    }
+    coupleCar(train, segment);
+
+    // Play sound feedback
+    playSound('place');
+}
+
+// Hook a car on behind the last segment of a train (also used to redo a coupling)
+function coupleCar(train, segment) {
     // Get the last segment of the train
     const lastSegment = train.segments[train.segments.length - 1];
 
-    // Create new car mesh
-    const carMesh = createCarMesh(carType);
+    // Calculate initial position for the new car (behind last segment).
+    // A reversed train is led by its last car, so work in the opposite direction of travel.
+    const anchor = train.reversed ? getReversedState(lastSegment) : lastSegment;
+    const spacing = getCouplingSpacing(lastSegment.type, segment.type);
+    const targetDistanceBehind = spacing / CELL_SIZE; // in cell units
+
+    let targetProgress = anchor.progress - targetDistanceBehind;
+    let targetRow = anchor.row;
+    let targetCol = anchor.col;
+    let targetEnterDir = anchor.enterDir;
+    let targetDir = anchor.dir;
+
+    // If target progress is negative, we need to go back to previous cell(s)
+    while (targetProgress < 0) {
+        targetProgress += 1.0;
+
+        // Move back one cell
+        const prevState = getPreviousState(targetRow, targetCol, targetEnterDir);
+        if (!prevState) {
+            // Can't go further back, just use current position
+            targetProgress = 0;
+            break;
+        }
+
+        targetRow = prevState.row;
+        targetCol = prevState.col;
+        targetEnterDir = prevState.enterDir;
+        targetDir = prevState.dir;
+    }
+
+    let target = {
+        row: targetRow,
+        col: targetCol,
+        dir: targetDir,
+        enterDir: targetEnterDir,
+        progress: targetProgress
+    };
+    if (train.reversed) {
+        target = getReversedState(target);
+    }
+
+    Object.assign(segment, target, { facingBack: train.reversed });
+
+    // Position the car mesh at the calculated position
+    scene.add(segment.mesh);
+    updateSegmentPosition(segment);
+
+    // Add to train segments
+    train.segments.push(segment);
+    recordStep(() => uncoupleCar(train, segment), () => coupleCar(train, segment));
+}
+
+function uncoupleCar(train, segment) {
+    scene.remove(segment.mesh);
+    train.segments.splice(train.segments.indexOf(segment), 1);
+    recordStep(() => coupleCar(train, segment), () => uncoupleCar(train, segment));
+}
+
+// ============================================================================
+// AUTO-CONNECT
+// ============================================================================
+
+// Neighbor-aware track joining, ported from the prototype's
+// determineCornerType/updateTrackAt in app.js
+
+const PLAIN_TRACK_TYPES = ['straight-h', 'straight-v', 'curve-tl', 'curve-tr', 'curve-bl', 'curve-br'];
+
+// Sides of a cell whose neighbor has track opening onto it
+function getConnectedSides(row, col) {
+    return [DIR.UP, DIR.RIGHT, DIR.DOWN, DIR.LEFT].filter(side => {
+        const neighbor = getTrackAt(row + DIR_OFFSETS[side].dr, col + DIR_OFFSETS[side].dc);
+        return neighbor && getTrackSides(neighbor.trackType).includes((side + 2) % 4) &&
+            getEdgeHeight(neighbor.trackType, (side + 2) % 4) === 0;
+    });
+}
+
+// A straight or curve with an end that doesn't join anything
+function hasLooseEnd(row, col) {
+    const cell = getTrackAt(row, col);
+    if (!cell || !isPlainTrack(cell.trackType)) return false;
+
+    const connected = getConnectedSides(row, col);
+    return getTrackSides(cell.trackType).some(side => !connected.includes(side));
+}
+
+// Pick the candidate piece for an empty cell that joins the most track. A side
+// counts double when its neighbor already opens onto the cell, and single when
+// the neighbor has a loose end that updateTrackAt can turn toward the new piece.
+// Ties go to the earliest candidate.
+function chooseConnectedType(row, col, candidates) {
+    const connected = getConnectedSides(row, col);
+    const pull = (side) => {
+        if (connected.includes(side)) return 2;
+        return hasLooseEnd(row + DIR_OFFSETS[side].dr, col + DIR_OFFSETS[side].dc) ? 1 : 0;
+    };
+
+    let best = candidates[0];
+    let bestScore = -1;
+    candidates.forEach(trackType => {
+        const score = getTrackSides(trackType).reduce((sum, side) => sum + pull(side), 0);
+        if (score > bestScore) {
+            best = trackType;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// Re-check a plain piece after a neighbor changed, turning it to join more
+// track if it has a loose end. Pieces joined at both ends are left as they are,
+// which keeps any piece the user turned by hand.
+function updateTrackAt(row, col) {
+    const cell = getTrackAt(row, col);
+    if (!cell || !hasLooseEnd(row, col) || isCellOccupiedByTrain(row, col)) return;
+
+    const connected = getConnectedSides(row, col);
+    const score = (trackType) => getTrackSides(trackType).filter(side => connected.includes(side)).length;
+
+    // Only change for a strictly better fit, so ties keep the current piece
+    let best = cell.trackType;
+    PLAIN_TRACK_TYPES.forEach(trackType => {
+        if (score(trackType) > score(best)) {
+            best = trackType;
+        }
+    });
+
+    if (best !== cell.trackType) {
+        placeTrackPiece(row, col, best);
+    }
+}
+
+function updateNeighborTracks(row, col) {
+    if (isLoadingLayout) return; // Layout data is built exactly as given
+
+    DIR_OFFSETS.forEach(offset => updateTrackAt(row + offset.dr, col + offset.dc));
+}
+
+// ============================================================================
+// PLACEMENT
+// ============================================================================
+
+// Helper: Find a neighboring track cell
+// Returns { row, col, incomingDir } or null
+function findNeighborTrack(row, col) {
+    // Check neighbors in priority order: UP, RIGHT, DOWN, LEFT
+    const neighbors = [
+        { row: row - 1, col: col, dir: DIR.DOWN },   // UP neighbor, incoming from DOWN
+        { row: row, col: col + 1, dir: DIR.LEFT },   // RIGHT neighbor, incoming from LEFT
+        { row: row + 1, col: col, dir: DIR.UP },     // DOWN neighbor, incoming from UP
+        { row: row, col: col - 1, dir: DIR.RIGHT }   // LEFT neighbor, incoming from RIGHT
+    ];
+
+    const trackNeighbors = [];
+
+    for (const n of neighbors) {
+        if (getCell(n.row, n.col).kind === 'track') {
+            trackNeighbors.push(n);
+        }
+    }
+
+    if (trackNeighbors.length === 0) {
+        return null;
+    } else if (trackNeighbors.length === 1) {
+        return trackNeighbors[0];
+    } else {
+        // Multiple neighbors: use first in priority order
+        return trackNeighbors[0];
+    }
+}
+
+// Smart placement based on mode. New pieces join up with the track around
+// them; tapping an existing piece turns it by hand.
+function placeTrackSmart(row, col, mode) {
+    const trackType = getTrackToolType(row, col, mode);
+    if (!trackType) return; // Don't overwrite non-straight tracks
+    const problem = getTrackToolProblem(row, col, trackType);
+    if (problem) {
+        console.log(problem);
+        return;
+    }
+
+    placeTrackPiece(row, col, trackType);
+    updateNeighborTracks(row, col);
+}
+
+// Why the straight, curve or draw tool can't lay trackType here, or null if
+// it can. Tunnels and trestles are already fitted to their hill or water.
+function getTrackToolProblem(row, col, trackType) {
+    if (isPlainTrack(trackType) && getGroundProblem(row, col)) return getGroundProblem(row, col);
+    if (isCellOccupiedByTrain(row, col)) return 'Cannot change track under a train';
+    return null;
+}
+
+// The piece the straight or curve tool lays here
+function getTrackToolType(row, col, mode) {
+    const trackType = mode === 'straight' ? getStraightToolType(row, col) : getCurveToolType(row, col);
+    return trackType && fitStraightToGround(row, col, trackType);
+}
+
+// What a straight laid here becomes: a tunnel through a hill, a trestle over water
+function fitStraightToGround(row, col, trackType) {
+    if (isHillCell(row, col)) return trackType.replace('straight-', 'tunnel-');
+    if (isWaterCell(row, col)) return trackType.replace('straight-', 'trestle-');
+    return trackType;
+}
+
+// The piece the straight tool lays here: an existing straight is turned, an
+// empty cell gets the straight that joins its neighbors. Null on other track.
+function getStraightToolType(row, col) {
+    const cell = getCell(row, col);
+
+    if (cell.kind === 'track' && /^(straight|trestle)-/.test(cell.trackType)) {
+        return cell.trackType.endsWith('-h') ? 'straight-v' : 'straight-h';
+    }
+    if (cell.kind === 'track') {
+        return null;
+    }
+    return chooseConnectedType(row, col, ['straight-h', 'straight-v']);
+}
+
+// The piece the curve tool lays here: tapping a curve cycles through all four,
+// tapping a switch cycles its diverging leg, anything else gets the curve that
+// best joins the neighbors
+function getCurveToolType(row, col) {
+    const cell = getCell(row, col);
+    const allCurves = ['curve-tl', 'curve-tr', 'curve-bl', 'curve-br'];
+
+    if (cell.kind === 'track' && cell.trackType.startsWith('switch-')) {
+        const legs = getSwitchLegs(cell.trackType);
+        const nextCurve = allCurves[(allCurves.indexOf(legs.diverging) + 1) % allCurves.length];
+        const axis = legs.straight === 'straight-h' ? 'h' : 'v';
+        return `switch-${axis}-${nextCurve.slice('curve-'.length)}`;
+    }
+    if (cell.kind === 'track' && cell.trackType.startsWith('curve-')) {
+        return allCurves[(allCurves.indexOf(cell.trackType) + 1) % allCurves.length];
+    }
+    return chooseConnectedType(row, col, allCurves);
+}
+
+// Actually create and place the track piece
+function placeTrackPiece(row, col, trackType) {
+    // Remove existing item in cell
+    const existing = getCell(row, col);
+    if (existing.mesh) {
+        scene.remove(existing.mesh);
+    }
+
+    // Create and place track
+    const trackMesh = createTrackMesh(trackType);
+    trackMesh.position.set(
+        col * CELL_SIZE + CELL_SIZE / 2,
+        0,
+        row * CELL_SIZE + CELL_SIZE / 2
+    );
+    scene.add(trackMesh);
+
+    setCell(row, col, {
+        kind: 'track',
+        trackType: trackType,
+        mesh: trackMesh
+    });
+
+    // Switches start set for the straight leg
+    if (trackType.startsWith('switch-')) {
+        getCell(row, col).points = 'straight';
+        updateSwitchIndicator(trackMesh, 'straight');
+    }
+
+    // A signal stays only if the new piece still has its edge
+    const signal = getSignalAt(row, col);
+    if (signal && !(getSignalSides(trackType) || []).includes(signal.dir)) {
+        removeSignal(signal);
+    }
+
+    playSound('place');
+}
+
+// Switch tool: tap a switch to throw the points, tap anything else to lay a switch
+function placeSwitch(row, col) {
+    const cell = getCell(row, col);
+
+    if (cell.kind === 'track' && cell.trackType.startsWith('switch-')) {
+        const points = cell.points === 'diverging' ? 'straight' : 'diverging';
+        if (isCellOccupiedByTrain(row, col)) {
+            console.log('Cannot throw points while a train is on the switch');
+            return;
+        }
+        setSwitchPoints(row, col, points);
+        playSound('place');
+        return;
+    }
 
-    // Calculate initial position for the new car (behind last segment)
-    // Use different spacing for first car vs subsequent cars
-    const segmentIndex = train.segments.length;
-    const spacing = (segmentIndex === 1) ? ENGINE_TO_CAR_SPACING : SEGMENT_SPACING;
-    const targetDistanceBehind = spacing / CELL_SIZE; // in cell units
+    const trackType = chooseSwitchType(row, col);
+    if (!trackType) {
+        console.log('Switch can only be placed on an empty cell or a straight track');
+        return;
+    }
+    if (getGroundProblem(row, col)) {
+        console.log(getGroundProblem(row, col));
+        return;
+    }
 
-    let targetProgress = lastSegment.progress - targetDistanceBehind;
-    let targetRow = lastSegment.row;
-    let targetCol = lastSegment.col;
-    let targetEnterDir = lastSegment.enterDir;
-    let targetDir = lastSegment.dir;
+    placeTrackPiece(row, col, trackType);
+    updateNeighborTracks(row, col);
+}
 
-    // If target progress is negative, we need to go back to previous cell(s)
-    while (targetProgress < 0) {
-        targetProgress += 1.0;
+// The switch to lay on an empty cell or a plain straight, or null elsewhere
+function chooseSwitchType(row, col) {
+    const cell = getCell(row, col);
+    if (cell.kind === 'track' && !cell.trackType.startsWith('straight-')) {
+        return null;
+    }
 
-        // Move back one cell
-        const prevState = getPreviousState(targetRow, targetCol, targetEnterDir);
-        if (!prevState) {
-            // Can't go further back, just use current position
-            targetProgress = 0;
-            break;
+    // Keep the straight leg on the same axis as the existing straight or its neighbor
+    let axis = 'h';
+    if (cell.kind === 'track') {
+        axis = cell.trackType === 'straight-v' ? 'v' : 'h';
+    } else {
+        const neighbor = findNeighborTrack(row, col);
+        if (neighbor && (neighbor.dir === DIR.UP || neighbor.dir === DIR.DOWN)) {
+            axis = 'v';
         }
+    }
 
-        targetRow = prevState.row;
-        targetCol = prevState.col;
-        targetEnterDir = prevState.enterDir;
-        targetDir = prevState.dir;
+    // Point the diverging leg toward an adjacent track if there is one
+    let corner;
+    if (axis === 'h') {
+        corner = !getTrackAt(row - 1, col) && getTrackAt(row + 1, col) ? 'bl' : 'tl';
+    } else {
+        corner = !getTrackAt(row, col - 1) && getTrackAt(row, col + 1) ? 'tr' : 'tl';
     }
 
-    const newSegment = {
-        type: carType,
-        mesh: carMesh,
-        row: targetRow,
-        col: targetCol,
-        dir: targetDir,
-        enterDir: targetEnterDir,
-        progress: targetProgress
-    };
+    return `switch-${axis}-${corner}`;
+}
 
-    // Position the car mesh at the calculated position
-    scene.add(carMesh);
-    updateSegmentPosition(newSegment);
+function placeDiamond(row, col) {
+    const cell = getCell(row, col);
 
-    // Add to train segments
-    train.segments.push(newSegment);
+    // Only replace empty cells and plain straights
+    if (cell.kind === 'track' && !cell.trackType.startsWith('straight-')) {
+        console.log('Diamond can only be placed on an empty cell or a straight track');
+        return;
+    }
+    if (getGroundProblem(row, col)) {
+        console.log(getGroundProblem(row, col));
+        return;
+    }
 
-    // Play sound feedback
-    playSound('place');
+    placeTrackPiece(row, col, 'diamond');
+    updateNeighborTracks(row, col);
 }
 
-// ============================================================================
-// PLACEMENT
-// ============================================================================
+// Bridge tool: an empty cell gets a bridge, lined up with any raised track
+// beside it, and a straight gets an overpass carrying a bridge across it.
+// Tapping a bridge or overpass again turns it.
+function placeBridge(row, col) {
+    const trackType = getBridgeToolType(row, col);
+    if (!trackType) {
+        console.log('Bridges can only be placed on an empty cell or a straight track');
+        return;
+    }
+    if (getCell(row, col).kind === 'track' && isCellOccupiedByTrain(row, col)) {
+        console.log('Cannot turn a bridge with a train on it');
+        return;
+    }
+    const groundProblem = getBridgeGroundProblem(row, col);
+    if (groundProblem) {
+        console.log(groundProblem);
+        return;
+    }
 
-// Helper: Find a neighboring track cell
-// Returns { row, col, incomingDir } or null
-function findNeighborTrack(row, col) {
-    // Check neighbors in priority order: UP, RIGHT, DOWN, LEFT
-    const neighbors = [
-        { row: row - 1, col: col, dir: DIR.DOWN },   // UP neighbor, incoming from DOWN
-        { row: row, col: col + 1, dir: DIR.LEFT },   // RIGHT neighbor, incoming from LEFT
-        { row: row + 1, col: col, dir: DIR.UP },     // DOWN neighbor, incoming from UP
-        { row: row, col: col - 1, dir: DIR.RIGHT }   // LEFT neighbor, incoming from RIGHT
-    ];
+    placeTrackPiece(row, col, trackType);
+    updateNeighborTracks(row, col);
+}
 
-    const trackNeighbors = [];
+// Bridges are the one piece that can go over water
+function getBridgeGroundProblem(row, col) {
+    return isWaterCell(row, col) ? null : getGroundProblem(row, col);
+}
 
-    for (const n of neighbors) {
-        if (n.row >= 0 && n.row < GRID_SIZE && n.col >= 0 && n.col < GRID_SIZE) {
-            const cell = grid[n.row][n.col];
-            if (cell.kind === 'track') {
-                trackNeighbors.push(n);
-            }
-        }
-    }
+function getBridgeToolType(row, col) {
+    const cell = getCell(row, col);
+    const turned = {
+        'straight-h': 'overpass-v',
+        'straight-v': 'overpass-h',
+        'bridge-h': 'bridge-v',
+        'bridge-v': 'bridge-h',
+        'overpass-h': 'overpass-v',
+        'overpass-v': 'overpass-h'
+    };
 
-    if (trackNeighbors.length === 0) {
-        return null;
-    } else if (trackNeighbors.length === 1) {
-        return trackNeighbors[0];
-    } else {
-        // Multiple neighbors: use first in priority order
-        return trackNeighbors[0];
+    if (cell.kind === 'track') {
+        return turned[cell.trackType] || null;
     }
+    const raisedSide = getRaisedNeighborSides(row, col)[0];
+    return raisedSide === DIR.UP || raisedSide === DIR.DOWN ? 'bridge-v' : 'bridge-h';
 }
 
-// Smart placement based on mode
-function placeTrackSmart(row, col, mode) {
-    const cell = grid[row][col];
+// Sides where the neighboring piece meets this cell at bridge height
+function getRaisedNeighborSides(row, col) {
+    return [DIR.RIGHT, DIR.LEFT, DIR.DOWN, DIR.UP].filter(side => {
+        const neighbor = getTrackAt(row + DIR_OFFSETS[side].dr, col + DIR_OFFSETS[side].dc);
+        return neighbor && getEdgeHeight(neighbor.trackType, (side + 2) % 4) === BRIDGE_HEIGHT;
+    });
+}
 
-    if (mode === 'straight') {
-        // If there's already a straight track, rotate it
-        if (cell.kind === 'track' && cell.trackType && cell.trackType.startsWith('straight-')) {
-            const newType = cell.trackType === 'straight-h' ? 'straight-v' : 'straight-h';
-            placeTrackPiece(row, col, newType);
-            return;
-        }
+// Ramp tool: lays a two-cell ramp from the ground up to bridge height. It
+// climbs toward raised track nearby, or away from track on the ground, and
+// tapping a ramp turns the pair to climb the other way.
+function placeRamp(row, col) {
+    const pieces = getRampToolPieces(row, col);
+    if (!canPlaceRamp(pieces)) {
+        console.log('Ramps need two empty cells or straight track in a line');
+        return;
+    }
 
-        // Only place if cell is empty
-        if (cell.kind === 'track') {
-            return; // Don't overwrite non-straight tracks
-        }
+    pieces.forEach(piece => placeTrackPiece(piece.row, piece.col, piece.trackType));
+    pieces.forEach(piece => updateNeighborTracks(piece.row, piece.col));
+}
 
-        const neighbor = findNeighborTrack(row, col);
+// The two halves of the ramp a tap lays: [{ row, col, trackType }], low half first
+function getRampToolPieces(row, col) {
+    const at = (r, c, side) => ({ row: r + DIR_OFFSETS[side].dr, col: c + DIR_OFFSETS[side].dc });
+    const ramp = (low, side) => {
+        const high = at(low.row, low.col, side);
+        const letter = SIDE_LETTERS[side];
+        return [
+            { row: low.row, col: low.col, trackType: `ramp-${letter}-low` },
+            { row: high.row, col: high.col, trackType: `ramp-${letter}-high` }
+        ];
+    };
 
-        if (!neighbor) {
-            // No neighbor: place first track (default to horizontal)
-            placeTrackPiece(row, col, 'straight-h');
-            return;
-        }
+    // An existing ramp turns around: the high half becomes the low one
+    const cell = getTrackAt(row, col);
+    if (cell && cell.trackType.startsWith('ramp-')) {
+        const side = getRampSide(cell.trackType);
+        const high = cell.trackType.endsWith('-high') ? { row, col } : at(row, col, side);
+        return ramp(high, (side + 2) % 4);
+    }
+
+    // Raised track beside the cell: this is the top of the ramp
+    const raisedSide = getRaisedNeighborSides(row, col)[0];
+    if (raisedSide !== undefined) {
+        return ramp(at(row, col, (raisedSide + 2) % 4), raisedSide);
+    }
 
-        const incomingDir = neighbor.dir;
-        let trackType;
+    // Raised track one cell further on: this is the foot of the ramp
+    const reachSide = [DIR.RIGHT, DIR.LEFT, DIR.DOWN, DIR.UP].find(side => {
+        const next = at(row, col, side);
+        return getRaisedNeighborSides(next.row, next.col).includes(side);
+    });
+    if (reachSide !== undefined) {
+        return ramp({ row, col }, reachSide);
+    }
 
-        if (incomingDir === DIR.LEFT || incomingDir === DIR.RIGHT) {
-            trackType = 'straight-h';
-        } else { // UP or DOWN
-            trackType = 'straight-v';
-        }
+    // Otherwise climb away from track on the ground
+    const connected = getConnectedSides(row, col);
+    const climbSide = [DIR.RIGHT, DIR.LEFT, DIR.DOWN, DIR.UP].find(side => connected.includes((side + 2) % 4));
+    return ramp({ row, col }, climbSide === undefined ? DIR.RIGHT : climbSide);
+}
 
-        placeTrackPiece(row, col, trackType);
+// Each cell must be empty, a straight on the ramp's axis or a ramp, with no
+// train on it, and off hills and water
+function canPlaceRamp(pieces) {
+    const straight = isHorizontalRamp(pieces[0].trackType) ? 'straight-h' : 'straight-v';
+    return pieces.every(piece => {
+        const cell = getCell(piece.row, piece.col);
+        if (cell.kind === 'tree' || getGroundProblem(piece.row, piece.col)) return false;
+        if (cell.kind !== 'track') return true;
+        return (cell.trackType === straight || cell.trackType.startsWith('ramp-')) &&
+            !isCellOccupiedByTrain(piece.row, piece.col);
+    });
+}
 
-    } else if (mode === 'curve') {
-        // Mode B: Curve
-        // Simply cycle through all 4 curve types
-        const allCurves = ['curve-tl', 'curve-tr', 'curve-bl', 'curve-br'];
+// Cell edges a signal can guard on this piece, or null if signals can't go here
+function getSignalSides(trackType) {
+    const plainType = trackType.replace('tunnel-', 'straight-');
+    return STRAIGHT_SIDES[plainType] || CURVE_SIDES[plainType] || null;
+}
 
-        // Check if this cell already has a curve
-        if (cell.kind === 'track' && cell.trackType && cell.trackType.startsWith('curve-')) {
-            // Cycle to next curve
-            const currentType = cell.trackType;
-            const currentIndex = allCurves.indexOf(currentType);
+function getSignalAt(row, col) {
+    return signals.find(signal => signal.row === row && signal.col === col) || null;
+}
 
-            let nextIndex;
-            if (currentIndex === -1) {
-                nextIndex = 0;
-            } else {
-                // Go to next curve in the list, wrap around
-                nextIndex = (currentIndex + 1) % allCurves.length;
-            }
+// Signal tool: tap a track cell to add a signal, tap again to face it the other
+// way, and a third time to remove it
+function placeSignal(row, col) {
+    const cell = getTrackAt(row, col);
+    const sides = cell && getSignalSides(cell.trackType);
+    if (!sides) {
+        console.log('Signals can only be placed beside straight, curved or tunnel track');
+        return;
+    }
 
-            placeTrackPiece(row, col, allCurves[nextIndex]);
-        } else {
-            // Place first curve
-            placeTrackPiece(row, col, allCurves[0]);
+    const existing = getSignalAt(row, col);
+    if (!existing) {
+        addSignal(row, col, sides[0]);
+    } else {
+        removeSignal(existing);
+        if (existing.dir === sides[0]) {
+            addSignal(row, col, sides[1]);
         }
     }
-}
 
-// Actually create and place the track piece
-function placeTrackPiece(row, col, trackType) {
-    // Remove existing item in cell
-    if (grid[row][col].mesh) {
-        scene.remove(grid[row][col].mesh);
-    }
+    playSound('place');
+}
 
-    // Create and place track
-    const trackMesh = createTrackMesh(trackType);
-    trackMesh.position.set(
+// A signal at (row, col) protects trains leaving the cell in direction dir
+function addSignal(row, col, dir) {
+    const signalMesh = new THREE.Group();
+    createSignal(signalMesh);
+    signalMesh.position.set(
         col * CELL_SIZE + CELL_SIZE / 2,
         0,
         row * CELL_SIZE + CELL_SIZE / 2
     );
-    scene.add(trackMesh);
+    signalMesh.rotation.y = getRotationForDirection(dir);
 
-    grid[row][col] = {
-        kind: 'track',
-        trackType: trackType,
-        mesh: trackMesh
+    const signal = {
+        row: row,
+        col: col,
+        dir: dir,
+        mesh: signalMesh,
+        aspect: 'green',
+        occupants: new Set(),
+        next: null
     };
+    addToList(signals, signal, signalMesh);
+    return signal;
+}
 
-    playSound('place');
+function removeSignal(signal) {
+    removeFromList(signals, signal, signal.mesh);
+}
+
+function setSwitchPoints(row, col, points) {
+    const cell = getCell(row, col);
+    if (!cell || cell.kind !== 'track' || !cell.trackType.startsWith('switch-')) return;
+
+    const previous = cell.points;
+    cell.points = points;
+    updateSwitchIndicator(cell.mesh, points);
+    recordStep(() => setSwitchPoints(row, col, previous), () => setSwitchPoints(row, col, points));
+}
+
+function isCellOccupiedByTrain(row, col, ignoreTrain = null) {
+    return trains.some(train => train !== ignoreTrain &&
+        train.segments.some(seg => seg.row === row && seg.col === col)
+    );
 }
 
 function deleteTrack(row, col) {
-    const cell = grid[row][col];
+    const cell = getCell(row, col);
+
+    // Tapping open water dries it up
+    if (!cell.kind && isWaterCell(row, col)) {
+        removeWater(row, col);
+        return;
+    }
+
+    if (cell.kind === 'scenery') {
+        removeScenery(getSceneryForCell(cell));
+        playSound('place');
+        return;
+    }
 
-    // Delete trees
-    if (cell && cell.kind === 'tree') {
+    // Delete trees and roads
+    if (cell.kind === 'tree' || cell.kind === 'road') {
         if (cell.mesh) {
             scene.remove(cell.mesh);
         }
-        grid[row][col] = { kind: null };
+        clearCell(row, col);
         playSound('place');
         return;
     }
@@ -2533,48 +5652,65 @@ function deleteTrack(row, col) {
                 if (crossing.dingSound && !crossing.dingSound.paused) {
                     crossing.dingSound.pause();
                 }
-                crossings.splice(crossingIndex, 1);
+                removeFromList(crossings, crossing);
             }
 
             // Remove mesh from scene
             scene.remove(crossingMesh);
 
             // Clear both cells of the crossing
-            grid[startRow][startCol] = { kind: null };
+            clearCell(startRow, startCol);
             const endRow = isHorizontal ? startRow : startRow + 1;
             const endCol = isHorizontal ? startCol + 1 : startCol;
-            if (endRow < GRID_SIZE && endCol < GRID_SIZE) {
-                grid[endRow][endCol] = { kind: null };
-            }
+            clearCell(endRow, endCol);
 
             // Remove any trains at either location
-            trains = trains.filter(train => {
+            trains.filter(train => {
                 const engineSeg = train.segments[0];
-                if ((engineSeg.row === startRow && engineSeg.col === startCol) ||
-                    (engineSeg.row === endRow && engineSeg.col === endCol)) {
-                    // Remove all segment meshes
-                    train.segments.forEach(seg => scene.remove(seg.mesh));
-                    return false;
-                }
-                return true;
-            });
+                return (engineSeg.row === startRow && engineSeg.col === startCol) ||
+                    (engineSeg.row === endRow && engineSeg.col === endCol);
+            }).forEach(removeTrain);
+
+            updateNeighborTracks(startRow, startCol);
+            updateNeighborTracks(endRow, endCol);
+        } else if (cell.trackType.startsWith('station-')) {
+            const station = getStationForCell(cell);
+            const endRow = station.horizontal ? station.row : station.row + 1;
+            const endCol = station.horizontal ? station.col + 1 : station.col;
+
+            scene.remove(station.mesh);
+            removeFromList(stations, station);
+            clearCell(station.row, station.col);
+            clearCell(endRow, endCol);
+
+            // Remove any trains at either location
+            trains.filter(train => {
+                const engineSeg = train.segments[0];
+                return (engineSeg.row === station.row && engineSeg.col === station.col) ||
+                    (engineSeg.row === endRow && engineSeg.col === endCol);
+            }).forEach(removeTrain);
+
+            updateNeighborTracks(station.row, station.col);
+            updateNeighborTracks(endRow, endCol);
         } else {
             // Regular track
             if (cell.mesh) {
                 scene.remove(cell.mesh);
             }
-            grid[row][col] = { kind: null };
+            clearCell(row, col);
+
+            const signal = getSignalAt(row, col);
+            if (signal) {
+                removeSignal(signal);
+            }
 
             // Remove any trains at this location
-            trains = trains.filter(train => {
+            trains.filter(train => {
                 const engineSeg = train.segments[0];
-                if (engineSeg.row === row && engineSeg.col === col) {
-                    // Remove all segment meshes
-                    train.segments.forEach(seg => scene.remove(seg.mesh));
-                    return false;
-                }
-                return true;
-            });
+                return engineSeg.row === row && engineSeg.col === col;
+            }).forEach(removeTrain);
+
+            updateNeighborTracks(row, col);
         }
 
         playSound('place');
@@ -2583,54 +5719,43 @@ function deleteTrack(row, col) {
 }
 
 function getTrackAt(row, col) {
-    if (row < 0 || row >= GRID_SIZE || col < 0 || col >= GRID_SIZE) {
-        return null;
-    }
-    const cell = grid[row][col];
+    const cell = getCell(row, col);
     if (cell && cell.kind === 'track') {
         return cell;
     }
     return null;
 }
 
-function placeCrossing(row, col) {
-    // Determine orientation based on neighbors
-    const north = getTrackAt(row - 1, col);
-    const south = getTrackAt(row + 1, col);
-    const east = getTrackAt(row, col + 1);
-    const west = getTrackAt(row, col - 1);
-
-    const hasVertical = (north && north.trackType && north.trackType.includes('-v')) ||
-        (south && south.trackType && south.trackType.includes('-v'));
-    const hasHorizontal = (east && east.trackType && east.trackType.includes('-h')) ||
-        (west && west.trackType && west.trackType.includes('-h'));
-
-    let horizontal = !hasVertical; // Default to horizontal unless vertical tracks detected
-    if (hasHorizontal && !hasVertical) horizontal = true;
+// A crossing can also go down on a road, which then runs across the track
+function getCrossingGroundProblem(row, col) {
+    return isRoadCell(row, col) ? null : getGroundProblem(row, col);
+}
 
+// Lay a two-cell crossing, oriented to suit its neighbors unless told otherwise
+function placeCrossing(row, col, horizontal = getCrossingOrientation(row, col)) {
     const trackType = horizontal ? 'crossing-h' : 'crossing-v';
 
-    // Check if there's space for 2-cell crossing
+    // The crossing's second cell
     const nextRow = horizontal ? row : row + 1;
     const nextCol = horizontal ? col + 1 : col;
 
-    if (nextRow >= GRID_SIZE || nextCol >= GRID_SIZE) {
-        console.log('Not enough space for crossing');
-        return;
-    }
-
     // Check if second cell already has a crossing
-    const nextCell = grid[nextRow][nextCol];
+    const nextCell = getCell(nextRow, nextCol);
     if (nextCell && nextCell.trackType && nextCell.trackType.startsWith('crossing-')) {
         console.log('Cannot place crossing here - already occupied by another crossing');
         return;
     }
+    const groundProblem = getCrossingGroundProblem(row, col) || getCrossingGroundProblem(nextRow, nextCol);
+    if (groundProblem) {
+        console.log(groundProblem);
+        return;
+    }
 
     // Remove existing tracks in both cells (but be careful with crossings)
-    const currentCell = grid[row][col];
+    const currentCell = getCell(row, col);
     if (currentCell && currentCell.mesh) {
-        // If current cell is part of a crossing, delete the whole crossing first
-        if (currentCell.trackType && currentCell.trackType.startsWith('crossing-')) {
+        // If current cell is part of a crossing or station, delete the whole piece first
+        if (currentCell.trackType && (currentCell.trackType.startsWith('crossing-') || currentCell.trackType.startsWith('station-'))) {
             deleteTrack(row, col);
         } else {
             scene.remove(currentCell.mesh);
@@ -2638,14 +5763,19 @@ function placeCrossing(row, col) {
     }
 
     if (nextCell && nextCell.mesh) {
-        // If next cell is part of a crossing, delete it
-        if (nextCell.trackType && nextCell.trackType.startsWith('crossing-')) {
+        // If next cell is part of a crossing or station, delete it
+        if (nextCell.trackType && (nextCell.trackType.startsWith('crossing-') || nextCell.trackType.startsWith('station-'))) {
             deleteTrack(nextRow, nextCol);
         } else {
             scene.remove(nextCell.mesh);
         }
     }
 
+    // Signals can't stand on a crossing
+    [getSignalAt(row, col), getSignalAt(nextRow, nextCol)].forEach(signal => {
+        if (signal) removeSignal(signal);
+    });
+
     // Create crossing
     const crossingMesh = createTrackMesh(trackType);
 
@@ -2657,22 +5787,22 @@ function placeCrossing(row, col) {
     scene.add(crossingMesh);
 
     // Mark both cells as having this crossing
-    grid[row][col] = {
+    setCell(row, col, {
         kind: 'track',
         trackType: trackType,
         mesh: crossingMesh,
         isCrossingStart: true,
         crossingRow: row,
         crossingCol: col
-    };
-    grid[nextRow][nextCol] = {
+    });
+    setCell(nextRow, nextCol, {
         kind: 'track',
         trackType: trackType,
         mesh: crossingMesh,
         isCrossingEnd: true,
         crossingRow: row,
         crossingCol: col
-    };
+    });
 
     // Create dedicated ding sound for this crossing
     const crossingDingSound = new Audio('./sounds/dingding.mp3');
@@ -2681,7 +5811,7 @@ function placeCrossing(row, col) {
     crossingDingSound.load();
 
     // Add to crossings array for animation
-    crossings.push({
+    addToList(crossings, {
         row: row,
         col: col,
         mesh: crossingMesh,
@@ -2692,11 +5822,139 @@ function placeCrossing(row, col) {
         deactivateTimer: 0
     });
 
+    updateNeighborTracks(row, col);
+    updateNeighborTracks(nextRow, nextCol);
+
+    playSound('place');
+}
+
+// Whether a crossing laid here runs horizontally, based on its neighbors
+function getCrossingOrientation(row, col) {
+    const north = getTrackAt(row - 1, col);
+    const south = getTrackAt(row + 1, col);
+    const east = getTrackAt(row, col + 1);
+    const west = getTrackAt(row, col - 1);
+
+    const hasVertical = (north && north.trackType && north.trackType.includes('-v')) ||
+        (south && south.trackType && south.trackType.includes('-v'));
+    const hasHorizontal = (east && east.trackType && east.trackType.includes('-h')) ||
+        (west && west.trackType && west.trackType.includes('-h'));
+
+    let horizontal = !hasVertical; // Default to horizontal unless vertical tracks detected
+    if (hasHorizontal && !hasVertical) horizontal = true;
+    return horizontal;
+}
+
+// Station tool: lay a two-cell station, or tap an existing one to change how
+// long trains stop there
+function placeStation(row, col) {
+    const cell = getCell(row, col);
+
+    if (cell.kind === 'track' && cell.trackType.startsWith('station-')) {
+        const station = getStationForCell(cell);
+        const previous = station.dwell;
+        const dwell = STATION_DWELL_TIMES[(STATION_DWELL_TIMES.indexOf(previous) + 1) % STATION_DWELL_TIMES.length];
+        station.dwell = dwell;
+        recordStep(() => { station.dwell = previous; }, () => { station.dwell = dwell; });
+        console.log('Station dwell time:', station.dwell, 'seconds');
+        playSound('place');
+        return;
+    }
+
+    const horizontal = getStationOrientation(row, col);
+    const nextRow = horizontal ? row : row + 1;
+    const nextCol = horizontal ? col + 1 : col;
+    const groundProblem = getGroundProblem(row, col) || getGroundProblem(nextRow, nextCol);
+    if (groundProblem) {
+        console.log(groundProblem);
+        return;
+    }
+    if (isCellOccupiedByTrain(row, col) || isCellOccupiedByTrain(nextRow, nextCol)) {
+        console.log('Cannot place a station under a train');
+        return;
+    }
+
+    addStation(row, col, horizontal, STATION_DWELL_TIMES[1]);
+    updateNeighborTracks(row, col);
+    updateNeighborTracks(nextRow, nextCol);
+}
+
+// Whether a station laid here runs horizontally: along the track already in
+// the cell, otherwise along its neighbors
+function getStationOrientation(row, col) {
+    const cell = getCell(row, col);
+    if (cell.kind === 'track' && cell.trackType.endsWith('-v')) {
+        return false;
+    }
+    if (cell.kind === 'track' && cell.trackType.endsWith('-h')) {
+        return true;
+    }
+    const neighbor = findNeighborTrack(row, col);
+    return !neighbor || neighbor.dir === DIR.LEFT || neighbor.dir === DIR.RIGHT;
+}
+
+function addStation(row, col, horizontal, dwell) {
+    const trackType = horizontal ? 'station-h' : 'station-v';
+    const nextRow = horizontal ? row : row + 1;
+    const nextCol = horizontal ? col + 1 : col;
+
+    // Clear both cells, taking whole crossings and stations with them
+    [[row, col], [nextRow, nextCol]].forEach(([r, c]) => {
+        const existing = getCell(r, c);
+        if (existing.trackType && (existing.trackType.startsWith('crossing-') || existing.trackType.startsWith('station-'))) {
+            deleteTrack(r, c);
+        } else if (existing.mesh) {
+            scene.remove(existing.mesh);
+        }
+        const signal = getSignalAt(r, c);
+        if (signal) removeSignal(signal);
+    });
+
+    const stationMesh = createTrackMesh(trackType);
+    stationMesh.position.set(
+        (col + nextCol) * CELL_SIZE / 2 + CELL_SIZE / 2,
+        0,
+        (row + nextRow) * CELL_SIZE / 2 + CELL_SIZE / 2
+    );
+    scene.add(stationMesh);
+
+    setCell(row, col, {
+        kind: 'track',
+        trackType: trackType,
+        mesh: stationMesh,
+        isStationStart: true,
+        stationRow: row,
+        stationCol: col
+    });
+    setCell(nextRow, nextCol, {
+        kind: 'track',
+        trackType: trackType,
+        mesh: stationMesh,
+        isStationEnd: true,
+        stationRow: row,
+        stationCol: col
+    });
+
+    addToList(stations, {
+        row: row,
+        col: col,
+        horizontal: horizontal,
+        dwell: dwell,
+        mesh: stationMesh,
+        passengers: []
+    });
+
     playSound('place');
 }
 
+function getStationForCell(cell) {
+    return stations.find(station =>
+        station.row === cell.stationRow && station.col === cell.stationCol
+    ) || null;
+}
+
 function placeTunnel(row, col) {
-    const cell = grid[row][col];
+    const cell = getCell(row, col);
 
     // Must be on a straight track (not curve, crossing, or empty)
     if (!cell || cell.kind !== 'track') {
@@ -2726,23 +5984,31 @@ function placeTunnel(row, col) {
     scene.add(tunnelMesh);
 
     // Update grid
-    grid[row][col] = {
+    setCell(row, col, {
         kind: 'track',
         trackType: trackType,
         mesh: tunnelMesh
-    };
+    });
 
     playSound('place');
 }
 
 function placeTree(row, col, treeType = null) {
-    const cell = grid[row][col];
+    const cell = getCell(row, col);
 
     // Trees can be placed on empty cells (not on tracks)
     if (cell && cell.kind === 'track') {
         console.log('Cannot place tree on track');
         return;
     }
+    if (cell.kind === 'road' || cell.kind === 'scenery') {
+        console.log(`Cannot place tree on ${cell.kind === 'road' ? 'road' : 'a building'}`);
+        return;
+    }
+    if (isWaterCell(row, col)) {
+        console.log('Cannot place tree in water');
+        return;
+    }
 
     // Remove existing tree if present
     if (cell && cell.mesh && cell.kind === 'tree') {
@@ -2759,58 +6025,76 @@ function placeTree(row, col, treeType = null) {
     createTree(treeGroup, treeType);
     const x = col * CELL_SIZE + CELL_SIZE / 2;
     const z = row * CELL_SIZE + CELL_SIZE / 2;
-    treeGroup.position.set(x, 0, z);
+    treeGroup.position.set(x, getTerrainHeight(row, col), z);
     scene.add(treeGroup);
 
-    // Update grid
-    grid[row][col] = {
-        kind: 'tree',
-        mesh: treeGroup,
-        treeType: treeType
-    };
-
-    playSound('place');
-}
-
-function placeTrain(row, col, engineType) {
-    const cell = grid[row][col];
-
-    // Must be on a track
-    if (!cell || cell.kind !== 'track') {
-        return;
-    }
-
-    // Remove any existing train at this location
-    trains = trains.filter(train => {
-        const engineSeg = train.segments[0];
-        if (engineSeg.row === row && engineSeg.col === col) {
-            // Remove all segment meshes
-            train.segments.forEach(seg => scene.remove(seg.mesh));
-            return false;
-        }
-        return true;
+    // Update grid
+    setCell(row, col, {
+        kind: 'tree',
+        mesh: treeGroup,
+        treeType: treeType
     });
 
-    // Create engine mesh
-    const engineMesh = createEngineMesh(engineType);
+    playSound('place');
+}
 
-    // Determine initial direction based on track type
+// The plain piece an engine put down on a cell starts on, and which way it runs.
+// Switches start on their straight leg, diamonds on their horizontal line,
+// overpasses on the line beneath, stations, bridges, ramps and trestles on their track.
+function getTrainStart(cell) {
+    let trackType = cell.trackType;
+    if (trackType.startsWith('switch-')) {
+        trackType = getSwitchLegs(trackType).straight;
+    } else if (trackType === 'diamond') {
+        trackType = 'straight-h';
+    } else if (trackType.startsWith('overpass-')) {
+        trackType = trackType === 'overpass-h' ? 'straight-v' : 'straight-h';
+    } else if (/^(station|bridge|ramp|trestle)-/.test(trackType)) {
+        trackType = getRouteType(cell, DIR.RIGHT);
+    }
     let initialDir = DIR.RIGHT;
     let initialEnterDir = DIR.RIGHT; // Same as travel direction
-    if (cell.trackType === 'straight-v' || cell.trackType === 'crossing-v' || cell.trackType === 'tunnel-v') {
+    if (trackType === 'straight-v' || trackType === 'crossing-v' || trackType === 'tunnel-v') {
         initialDir = DIR.DOWN;
         initialEnterDir = DIR.DOWN;
-    } else if (cell.trackType.startsWith('curve-')) {
+    } else if (trackType.startsWith('curve-')) {
         // For curves, pick a consistent entry side:
         // tl/tr: come from top (DOWN), bl/br: come from bottom (UP)
-        if (cell.trackType === 'curve-tl' || cell.trackType === 'curve-tr') {
+        if (trackType === 'curve-tl' || trackType === 'curve-tr') {
             initialEnterDir = DIR.DOWN;
             initialDir = DIR.DOWN;
-        } else if (cell.trackType === 'curve-bl' || cell.trackType === 'curve-br') {
+        } else if (trackType === 'curve-bl' || trackType === 'curve-br') {
             initialEnterDir = DIR.UP;
             initialDir = DIR.UP;
         }
     }
+    return { trackType, initialDir, initialEnterDir };
+}
+
+// Why an engine can't go down here, or null if it can
+function getTrainProblem(row, col) {
+    if (getCell(row, col).kind !== 'track') return 'Trains can only be placed on track';
+    return null;
+}
+
+function placeTrain(row, col, engineType) {
+    const cell = getCell(row, col);
+    const problem = getTrainProblem(row, col);
+    if (problem) {
+        console.log(problem);
+        return;
+    }
+
+    // Remove any existing train at this location
+    trains.filter(train => {
+        const engineSeg = train.segments[0];
+        return engineSeg.row === row && engineSeg.col === col;
+    }).forEach(removeTrain);
+
+    // Create engine mesh
+    const engineMesh = createEngineMesh(engineType);
+
+    const { trackType, initialDir, initialEnterDir } = getTrainStart(cell);
 
     // Position train roughly at "start" of that cell
     const cellCenterX = col * CELL_SIZE + CELL_SIZE / 2;
@@ -2819,38 +6103,38 @@ function placeTrain(row, col, engineType) {
     let startX = cellCenterX;
     let startZ = cellCenterZ;
 
-    if (cell.trackType === 'straight-h' || cell.trackType === 'crossing-h' || cell.trackType === 'tunnel-h') {
+    if (trackType === 'straight-h' || trackType === 'crossing-h' || trackType === 'tunnel-h') {
         if (initialEnterDir === DIR.RIGHT) {
             startX = cellCenterX - CELL_SIZE / 2; // Left edge
         } else if (initialEnterDir === DIR.LEFT) {
             startX = cellCenterX + CELL_SIZE / 2; // Right edge
         }
-    } else if (cell.trackType === 'straight-v' || cell.trackType === 'crossing-v' || cell.trackType === 'tunnel-v') {
+    } else if (trackType === 'straight-v' || trackType === 'crossing-v' || trackType === 'tunnel-v') {
         if (initialEnterDir === DIR.DOWN) {
             startZ = cellCenterZ - CELL_SIZE / 2; // Top edge
         } else if (initialEnterDir === DIR.UP) {
             startZ = cellCenterZ + CELL_SIZE / 2; // Bottom edge
         }
-    } else if (cell.trackType.startsWith('curve-')) {
-        if (cell.trackType === 'curve-tl') {
+    } else if (trackType.startsWith('curve-')) {
+        if (trackType === 'curve-tl') {
             const centerX = cellCenterX - R;
             const centerZ = cellCenterZ - R;
             // start at top edge: angle 0
             startX = centerX + R * Math.cos(0);
             startZ = centerZ + R * Math.sin(0);
-        } else if (cell.trackType === 'curve-tr') {
+        } else if (trackType === 'curve-tr') {
             const centerX = cellCenterX + R;
             const centerZ = cellCenterZ - R;
             // start at top edge: angle Math.PI
             startX = centerX + R * Math.cos(Math.PI);
             startZ = centerZ + R * Math.sin(Math.PI);
-        } else if (cell.trackType === 'curve-bl') {
+        } else if (trackType === 'curve-bl') {
             const centerX = cellCenterX - R;
             const centerZ = cellCenterZ + R;
             // start at bottom edge: angle 0
             startX = centerX + R * Math.cos(0);
             startZ = centerZ + R * Math.sin(0);
-        } else if (cell.trackType === 'curve-br') {
+        } else if (trackType === 'curve-br') {
             const centerX = cellCenterX + R;
             const centerZ = cellCenterZ + R;
             // start at bottom edge: angle Math.PI
@@ -2861,10 +6145,9 @@ function placeTrain(row, col, engineType) {
 
     engineMesh.position.set(startX, 0.08, startZ);
     engineMesh.rotation.y = getRotationForDirection(initialEnterDir);
-    scene.add(engineMesh);
 
     // Create train with segments array
-    trains.push({
+    addTrain({
         segments: [{
             type: engineType,
             mesh: engineMesh,
@@ -2872,12 +6155,19 @@ function placeTrain(row, col, engineType) {
             col,
             dir: initialDir,
             enterDir: initialEnterDir,
-            progress: 0
+            progress: 0,
+            facingBack: false
         }],
-        speed: 1.5, // cells per second
+        speed: engineType === 'engine-bullet' ? BULLET_TRAIN_SPEED : DEFAULT_TRAIN_SPEED, // target speed in cells per second
+        currentSpeed: 0, // actual speed after accelerating / braking
         moving: false,
-        stopped: false
+        stopped: false,
+        reversed: false, // true when running backwards, led by the last car
+        endOfLine: 'stop', // 'stop', 'reverse' or 'wait' at a dead end
+        waitTimer: 0
     });
+    // Lift it onto a bridge or ramp
+    updateSegmentPosition(trains[trains.length - 1].segments[0]);
 
     playSound('place');
     updateSteamEngineSound();
@@ -2903,51 +6193,356 @@ function getRotationForDirection(dir) {
 // ============================================================================
 
 function stepTrains(delta) {
+    // Which cells every train occupies, taken once per frame
+    const occupancy = buildOccupancyMap();
+
     trains.forEach(train => {
         // Update smoke particles for steam engines (on engine segment)
         const engineSeg = train.segments[0];
         if (engineSeg.mesh.userData.smokeSystem) {
-            const shouldEmitSmoke = isPlaying && !train.stopped;
+            const shouldEmitSmoke = isPlaying && !train.stopped && !train.derailed;
             // Check if engine is in a tunnel
-            const cell = grid[engineSeg.row][engineSeg.col];
+            const cell = getCell(engineSeg.row, engineSeg.col);
             const isInTunnel = cell && (cell.trackType === 'tunnel-h' || cell.trackType === 'tunnel-v');
             updateSmokeParticles(engineSeg.mesh.userData.smokeSystem, delta, shouldEmitSmoke, isInTunnel);
         }
 
         if (!isPlaying) return;
 
-        // Don't move if train has stopped at end of track
-        if (train.stopped) {
+        // Wrecked trains stay where they are
+        if (train.derailed) {
             return;
         }
 
-        // Move engine segment (leader)
-        const engineCell = grid[engineSeg.row][engineSeg.col];
-        if (!engineCell || engineCell.kind !== 'track') {
+        // A stopped train sets off again by itself once track is laid in front of it
+        if (train.stopped) {
+            train.currentSpeed = 0;
+            if (!canTrainAdvance(train)) {
+                return;
+            }
+            train.stopped = false;
+            updateSteamEngineSound();
+        }
+
+        // A waiting train retries, then turns back if the line is still closed
+        if (train.waitTimer > 0) {
+            train.waitTimer -= delta;
+            if (canTrainAdvance(train)) {
+                train.waitTimer = 0;
+            } else if (train.waitTimer <= 0) {
+                train.waitTimer = 0;
+                reverseTrain(train);
+            } else {
+                return;
+            }
+        }
+
+        // A train standing at a platform waits out the station's dwell time
+        if (train.dwellTimer > 0) {
+            train.dwellTimer -= delta;
+            if (train.dwellTimer > 0) {
+                return;
+            }
+            train.dwellTimer = 0;
+        }
+
+        // Move the leading segment (the engine, or the last car when reversed)
+        const order = getTravelOrder(train);
+        const leadSeg = order[0];
+        const leadCell = getCell(leadSeg.row, leadSeg.col);
+        if (!leadCell || leadCell.kind !== 'track') {
             return; // Train is stuck
         }
 
-        engineSeg.progress += train.speed * delta;
+        // Once the train has pulled out of a station it will stop there next time round
+        if (train.servedStation && getStationForCell(leadCell) !== train.servedStation) {
+            train.servedStation = null;
+        }
+
+        // Accelerate toward the train's speed, but never faster than it can still
+        // stop at a red signal or before the next block occupied by another train.
+        // In crash mode only signals hold trains back.
+        const stationStop = getStationStop(train);
+        let stopDistance = getStopDistance(train, crashMode ? null : occupancy);
+        if (stationStop) {
+            stopDistance = Math.min(stopDistance, stationStop.distance);
+        }
+        const brakingRoom = Math.max(0, stopDistance - BLOCK_STOP_MARGIN);
+        const brakingLimit = Math.sqrt(2 * TRAIN_BRAKING * brakingRoom);
+        if (train.currentSpeed > brakingLimit) {
+            // Must stop in time, brake hard
+            train.currentSpeed = brakingLimit;
+        } else if (train.currentSpeed < train.speed) {
+            const acceleration = getTrainAcceleration(train);
+            train.currentSpeed = Math.min(train.speed, brakingLimit, train.currentSpeed + acceleration * delta);
+        } else {
+            // Throttle eased off, coast down to the new speed
+            train.currentSpeed = Math.max(train.speed, train.currentSpeed - TRAIN_DECELERATION * delta);
+        }
+
+        // Pulled up at the end of the platform
+        if (stationStop && stationStop.distance - BLOCK_STOP_MARGIN < 0.02 && train.currentSpeed < 0.05) {
+            arriveAtStation(train, stationStop.station);
+            return;
+        }
+
+        // Speed is along the rails, so a ramp takes a little longer to climb
+        leadSeg.progress += train.currentSpeed * delta / getRouteLength(leadCell, leadSeg.enterDir);
+
+        if (leadSeg.progress >= 1.0) {
+            // Move lead to next cell
+            leadSeg.progress = 0;
+            moveSegmentToNextCell(leadSeg, train);
+        }
+
+        // Update lead position
+        updateSegmentPosition(leadSeg);
+
+        // Move each following segment behind the one in front
+        for (let i = 1; i < order.length; i++) {
+            followLeadSegment(order[i], order[i - 1], train);
+            updateSegmentPosition(order[i]);
+        }
+    });
+
+    if (crashMode && isPlaying) {
+        detectCollisions();
+    }
+}
+
+// Every car makes the train slower to get going; the bullet train has more power
+function getTrainAcceleration(train) {
+    const cars = train.segments.length - 1;
+    const power = train.segments[0].type === 'engine-bullet' ? BULLET_TRAIN_POWER : 1;
+    return TRAIN_ACCELERATION * power / (1 + cars * CAR_WEIGHT);
+}
+
+// Map of "row,col" (plus ",deck" for an overpass deck) -> Set of trains with a segment there
+function buildOccupancyMap() {
+    const occupancy = new Map();
+    trains.forEach(train => {
+        train.segments.forEach(seg => {
+            const key = getOccupancyKey(seg.row, seg.col, seg.enterDir);
+            if (!occupancy.has(key)) {
+                occupancy.set(key, new Set());
+            }
+            occupancy.get(key).add(train);
+        });
+    });
+    return occupancy;
+}
+
+// Distance in cells from the front of the train to where it must stop: the end
+// of a cell with a red signal, the end of the track, or the start of a cell
+// another train occupies (skipped when occupancy is null). Infinity if the line
+// is clear within maxCells.
+function getStopDistance(train, occupancy, maxCells = 4) {
+    const leadSeg = getTravelOrder(train)[0];
+    let distance = 1.0 - leadSeg.progress;
+    let row = leadSeg.row;
+    let col = leadSeg.col;
+    let enterDir = leadSeg.enterDir;
+
+    for (let i = 0; i < maxCells; i++) {
+        const cell = getTrackAt(row, col);
+        const next = cell && getNextState(row, col, enterDir, getRouteType(cell, enterDir));
+        if (!next || !getTrackAt(next.row, next.col)) {
+            // Roll right up to the end of the track, where the train's
+            // end-of-line behavior takes over
+            return distance + BLOCK_STOP_MARGIN;
+        }
+
+        const signal = getSignalAt(row, col);
+        if (signal && signal.dir === next.exitDir && isSignalRedFor(signal, train)) {
+            return distance;
+        }
+
+        const occupants = occupancy && occupancy.get(getOccupancyKey(next.row, next.col, next.nextEnterDir));
+        if (occupants && [...occupants].some(other => other !== train)) {
+            return distance;
+        }
+
+        row = next.row;
+        col = next.col;
+        enterDir = next.nextEnterDir;
+        distance += 1.0;
+    }
+
+    return Infinity;
+}
+
+// The station the train should stop at next and the distance to the far end of
+// its platform, or null if there is none within maxCells
+function getStationStop(train, maxCells = 4) {
+    const leadSeg = getTravelOrder(train)[0];
+    let distance = 1.0 - leadSeg.progress;
+    let row = leadSeg.row;
+    let col = leadSeg.col;
+    let enterDir = leadSeg.enterDir;
+
+    for (let i = 0; i < maxCells; i++) {
+        const cell = getTrackAt(row, col);
+        if (!cell) return null;
+        const next = getNextState(row, col, enterDir, getRouteType(cell, enterDir));
+
+        if (cell.trackType.startsWith('station-')) {
+            const station = getStationForCell(cell);
+            const nextCell = next && getTrackAt(next.row, next.col);
+            const leavesStation = !nextCell || getStationForCell(nextCell) !== station;
+            if (leavesStation && station !== train.servedStation) {
+                return { station, distance };
+            }
+        }
+
+        if (!next) return null;
+        row = next.row;
+        col = next.col;
+        enterDir = next.nextEnterDir;
+        distance += 1.0;
+    }
+
+    return null;
+}
 
-        if (engineSeg.progress >= 1.0) {
-            // Move engine to next cell
-            engineSeg.progress = 0;
-            moveSegmentToNextCell(engineSeg, train);
+function arriveAtStation(train, station) {
+    train.currentSpeed = 0;
+    train.servedStation = station;
+    train.dwellTimer = station.dwell;
+    playSound('chime');
+
+    // Passengers get off and on at every passenger car beside the platform
+    const side = getPlatformSide(station);
+    train.segments.forEach(seg => {
+        const cell = getTrackAt(seg.row, seg.col);
+        if (seg.type !== 'car-passenger' || !cell || getStationForCell(cell) !== station) return;
+
+        const door = new THREE.Vector3(
+            seg.mesh.position.x + side.x * 0.3 - station.mesh.position.x,
+            PLATFORM_HEIGHT,
+            seg.mesh.position.z + side.z * 0.3 - station.mesh.position.z
+        );
+        const count = 1 + Math.floor(Math.random() * 3);
+        for (let i = 0; i < count; i++) {
+            // Spread along the platform, away from the car door
+            const along = (Math.random() - 0.5) * 0.6;
+            const spot = new THREE.Vector3(
+                door.x + side.x * 0.45 + side.z * along,
+                PLATFORM_HEIGHT,
+                door.z + side.z * 0.45 + side.x * along
+            );
+            // Half of them alight, half board
+            const boarding = i % 2 === 0;
+            addStationPassenger(station, boarding ? spot : door, boarding ? door : spot, station.dwell);
         }
+    });
+}
 
-        // Update engine position
-        updateSegmentPosition(engineSeg);
+// Unit vector from the track toward the platform (see createStation)
+function getPlatformSide(station) {
+    return station.horizontal ? { x: 0, z: 1 } : { x: -1, z: 0 };
+}
 
-        // Move each car segment to follow the one in front
-        for (let i = 1; i < train.segments.length; i++) {
-            const segment = train.segments[i];
-            const leadSegment = train.segments[i - 1];
+function addStationPassenger(station, from, to, duration) {
+    const figure = createPassengerFigure();
+    figure.position.copy(from);
+    figure.scale.setScalar(0.01);
+    station.mesh.add(figure);
+    station.passengers.push({ mesh: figure, from, to, timer: 0, duration });
+}
 
-            // Follow the lead segment (pass segment index for spacing calculation)
-            followLeadSegment(segment, leadSegment, train, i);
-            updateSegmentPosition(segment);
+// Crash mode: any two trains whose segments touch derail together
+function detectCollisions() {
+    for (let i = 0; i < trains.length; i++) {
+        for (let j = i + 1; j < trains.length; j++) {
+            const a = trains[i];
+            const b = trains[j];
+            if (a.derailed && b.derailed) continue;
+
+            const touching = a.segments.some(segA => b.segments.some(segB =>
+                segA.mesh.position.distanceTo(segB.mesh.position) < COLLISION_DISTANCE
+            ));
+            if (touching) {
+                derailTrain(a);
+                derailTrain(b);
+                playSound('crash');
+            }
         }
+    }
+}
+
+function derailTrain(train) {
+    if (train.derailed) return;
+
+    train.derailed = true;
+    train.stopped = true;
+    train.currentSpeed = 0;
+    train.derailTimer = 0;
+
+    // Each segment tips over to a random side and skews off the rails
+    train.segments.forEach(seg => {
+        const side = Math.random() < 0.5 ? -1 : 1;
+        seg.derail = {
+            startRotationY: seg.mesh.rotation.y,
+            startX: seg.mesh.position.x,
+            startY: seg.mesh.position.y,
+            startZ: seg.mesh.position.z,
+            roll: side * (Math.PI / 2.5 + Math.random() * 0.4),
+            yaw: (Math.random() - 0.5) * 1.2,
+            slide: side * (0.3 + Math.random() * 0.3)
+        };
+    });
+    updateSteamEngineSound();
+}
+
+function updateDerailments(delta) {
+    trains.forEach(train => {
+        if (!train.derailed || train.derailTimer >= 1) return;
+
+        train.derailTimer = Math.min(1, train.derailTimer + delta * 1.5);
+        // Ease out so the cars slam over and then settle
+        const t = 1 - Math.pow(1 - train.derailTimer, 3);
+
+        train.segments.forEach(seg => {
+            const d = seg.derail;
+            const heading = d.startRotationY;
+            seg.mesh.rotation.order = 'YXZ';
+            seg.mesh.rotation.y = heading + d.yaw * t;
+            seg.mesh.rotation.z = d.roll * t;
+            // Slide sideways, perpendicular to the heading
+            seg.mesh.position.x = d.startX + Math.cos(heading) * d.slide * t;
+            seg.mesh.position.z = d.startZ - Math.sin(heading) * d.slide * t;
+            // Small hop while tipping over
+            seg.mesh.position.y = d.startY + Math.sin(t * Math.PI) * 0.3;
+        });
+    });
+}
+
+// Stand a wrecked train back up where it came off the rails. It needs track
+// under every segment and no train on the rails where it stood; then it sets
+// off again like any stopped train.
+function rerailTrain(train) {
+    if (!train.segments.every(seg => getCell(seg.row, seg.col).kind === 'track')) {
+        console.log('Wrecked train left where it is: there is no track under it');
+        return;
+    }
+    const railPosition = seg => new THREE.Vector3(seg.derail.startX, seg.derail.startY, seg.derail.startZ);
+    const blocked = trains.some(other => other !== train && !other.derailed && other.segments.some(otherSeg =>
+        train.segments.some(seg => railPosition(seg).distanceTo(otherSeg.mesh.position) < COLLISION_DISTANCE)
+    ));
+    if (blocked) {
+        console.log('Wrecked train left where it is: another train is on its line');
+        return;
+    }
+
+    train.derailed = false;
+    train.segments.forEach(seg => {
+        seg.mesh.position.y = seg.derail.startY;
+        delete seg.derail;
+        seg.mesh.rotation.z = 0;
+        updateSegmentPosition(seg);
     });
+    playSound('place');
+    updateSteamEngineSound();
 }
 
 function updateSmokeParticles(smokeSystem, delta, shouldEmit, isInTunnel) {
@@ -3021,27 +6616,31 @@ function updateSmokeParticles(smokeSystem, delta, shouldEmit, isInTunnel) {
 }
 
 function moveSegmentToNextCell(segment, train) {
-    const cell = grid[segment.row][segment.col];
-    const trackType = cell.trackType;
+    const cell = getCell(segment.row, segment.col);
+    const trackType = getRouteType(cell, segment.enterDir);
 
     // Determine next state using enterDir (direction from previous cell)
     const next = getNextState(segment.row, segment.col, segment.enterDir, trackType);
 
     if (!next) {
-        // No valid next cell, stop the train
+        // No valid next cell
         segment.progress = 1.0; // Keep at end of current cell
-        train.stopped = true;
-        updateSteamEngineSound();
+        handleEndOfLine(train);
         return;
     }
 
     // Check if next cell has track
-    const nextCell = grid[next.row][next.col];
-    if (!nextCell || nextCell.kind !== 'track') {
-        // Reached end of track, stop the train
+    const nextCell = getTrackAt(next.row, next.col);
+    if (!nextCell) {
+        // Reached end of track
         segment.progress = 1.0; // Keep at end of current cell
-        train.stopped = true;
-        updateSteamEngineSound();
+        handleEndOfLine(train);
+        return;
+    }
+
+    // Only one train at a time may be on a diamond; wait at its edge until it clears
+    if (nextCell.trackType === 'diamond' && isCellOccupiedByTrain(next.row, next.col, train)) {
+        segment.progress = 1.0;
         return;
     }
 
@@ -3050,25 +6649,110 @@ function moveSegmentToNextCell(segment, train) {
     segment.col = next.col;
     segment.dir = next.exitDir;         // direction leaving this cell
     segment.enterDir = next.nextEnterDir; // direction entering the new cell (same as exitDir)
+
+    // Trailing through a switch pushes the points over, so the cars behind follow the same leg
+    if (nextCell.trackType.startsWith('switch-')) {
+        const legs = getSwitchLegs(nextCell.trackType);
+        const entrySide = (segment.enterDir + 2) % 4;
+        if (entrySide !== legs.toe) {
+            const points = STRAIGHT_SIDES[legs.straight].includes(entrySide) ? 'straight' : 'diverging';
+            if (nextCell.points !== points) {
+                setSwitchPoints(next.row, next.col, points);
+            }
+        }
+    }
 }
 
-function followLeadSegment(segment, leadSegment, train, segmentIndex) {
-    // Use different spacing for first car vs subsequent cars
-    // First car (index 1) gets ENGINE_TO_CAR_SPACING, others get SEGMENT_SPACING
-    const spacing = (segmentIndex === 1) ? ENGINE_TO_CAR_SPACING : SEGMENT_SPACING;
-    const targetDistanceBehind = spacing / CELL_SIZE; // in cell units
+function handleEndOfLine(train) {
+    if (train.endOfLine === 'wait') {
+        train.waitTimer = END_OF_LINE_WAIT;
+        return;
+    }
+
+    if (train.endOfLine === 'reverse') {
+        reverseTrain(train);
+        if (canTrainAdvance(train)) {
+            return;
+        }
+        // Both ends are blocked: fall through and stop
+    }
+
+    train.stopped = true;
+    updateSteamEngineSound();
+}
+
+// Segments in the order they travel, leader first
+function getTravelOrder(train) {
+    return train.reversed ? train.segments.slice().reverse() : train.segments;
+}
+
+// Whether the leading segment has track to move onto
+function canTrainAdvance(train) {
+    const leadSeg = getTravelOrder(train)[0];
+    if (leadSeg.progress < 1.0) {
+        return true;
+    }
+
+    const cell = getTrackAt(leadSeg.row, leadSeg.col);
+    if (!cell) {
+        return false;
+    }
+    const next = getNextState(leadSeg.row, leadSeg.col, leadSeg.enterDir, getRouteType(cell, leadSeg.enterDir));
+    return !!next && !!getTrackAt(next.row, next.col);
+}
+
+// The same spot on the track, seen by a segment travelling the other way
+function getReversedState(state) {
+    const cell = getTrackAt(state.row, state.col);
+    const next = cell && getNextState(state.row, state.col, state.enterDir, getRouteType(cell, state.enterDir));
+    if (!next) {
+        return { row: state.row, col: state.col, dir: state.dir, enterDir: state.enterDir, progress: state.progress };
+    }
+
+    const enterDir = (next.exitDir + 2) % 4;
+    return {
+        row: state.row,
+        col: state.col,
+        dir: enterDir,
+        enterDir: enterDir,
+        progress: 1.0 - state.progress
+    };
+}
+
+// Turn the whole consist around in place: the last car leads and every
+// segment runs backwards along the same track
+function reverseTrain(train) {
+    train.segments.forEach(seg => {
+        Object.assign(seg, getReversedState(seg));
+        seg.facingBack = !seg.facingBack;
+        updateSegmentPosition(seg);
+    });
+    train.reversed = !train.reversed;
+}
+
+// Gap between two coupled segments: engines keep a little extra room
+function getCouplingSpacing(typeA, typeB) {
+    return typeA.startsWith('engine-') || typeB.startsWith('engine-') ? ENGINE_TO_CAR_SPACING : SEGMENT_SPACING;
+}
+
+function followLeadSegment(segment, leadSegment, train) {
+    const spacing = getCouplingSpacing(segment.type, leadSegment.type);
+    let distanceBehind = spacing / CELL_SIZE; // in cell units, measured along the rails
 
     // Calculate the "virtual progress" this segment should have
     // by looking at where the lead segment is
-    let targetProgress = leadSegment.progress - targetDistanceBehind;
+    let targetProgress = leadSegment.progress;
     let targetRow = leadSegment.row;
     let targetCol = leadSegment.col;
     let targetEnterDir = leadSegment.enterDir;
     let targetDir = leadSegment.dir;
+    let cellLength = getRouteLength(getCell(targetRow, targetCol), targetEnterDir);
 
-    // If target progress is negative, we need to go back to previous cell(s)
-    while (targetProgress < 0) {
-        targetProgress += 1.0;
+    // If the distance reaches past the start of the cell, we need to go back to
+    // previous cell(s). Ramps are longer than flat cells, so each cell counts
+    // for its own length.
+    while (distanceBehind > targetProgress * cellLength) {
+        distanceBehind -= targetProgress * cellLength;
 
         // Move back one cell
         const prevState = getPreviousState(targetRow, targetCol, targetEnterDir);
@@ -3081,7 +6765,10 @@ function followLeadSegment(segment, leadSegment, train, segmentIndex) {
         targetCol = prevState.col;
         targetEnterDir = prevState.enterDir;
         targetDir = prevState.dir;
+        targetProgress = 1.0;
+        cellLength = getRouteLength(getCell(targetRow, targetCol), targetEnterDir);
     }
+    targetProgress -= distanceBehind / cellLength;
 
     // Update segment to target position
     segment.row = targetRow;
@@ -3108,19 +6795,18 @@ function getPreviousState(row, col, enterDir) {
         prevCol = col - 1; // came from left
     }
 
-    // Check if previous cell exists and has track
-    if (prevRow < 0 || prevRow >= GRID_SIZE || prevCol < 0 || prevCol >= GRID_SIZE) {
+    // Check if previous cell has track, joined at the same height
+    const prevCell = getCell(prevRow, prevCol);
+    if (!prevCell || prevCell.kind !== 'track') {
         return null;
     }
-
-    const prevCell = grid[prevRow][prevCol];
-    if (!prevCell || prevCell.kind !== 'track') {
+    if (getEdgeHeight(prevCell.trackType, prevExitDir) !== getEdgeHeight(getCell(row, col).trackType, (prevExitDir + 2) % 4)) {
         return null;
     }
 
     // Determine what enterDir was for the previous cell
     // We exited in prevExitDir direction, so we need to find what enterDir would lead to that exit
-    const trackType = prevCell.trackType;
+    const trackType = getRouteTypeForExit(prevCell, prevExitDir);
     let prevEnterDir = null;
 
     // For straight tracks
@@ -3158,6 +6844,131 @@ function getPreviousState(row, col, enterDir) {
     };
 }
 
+// Every cell edge a piece joins to a neighbor, named by the direction it faces
+function getTrackSides(trackType) {
+    if (trackType === 'diamond') {
+        return [DIR.UP, DIR.RIGHT, DIR.DOWN, DIR.LEFT];
+    }
+    if (trackType.startsWith('switch-')) {
+        const legs = getSwitchLegs(trackType);
+        return [...new Set([...STRAIGHT_SIDES[legs.straight], ...CURVE_SIDES[legs.diverging]])];
+    }
+    if (trackType.startsWith('overpass-')) {
+        return [DIR.UP, DIR.RIGHT, DIR.DOWN, DIR.LEFT];
+    }
+    if (trackType.startsWith('ramp-')) {
+        return isHorizontalRamp(trackType) ? [DIR.LEFT, DIR.RIGHT] : [DIR.UP, DIR.DOWN];
+    }
+    const plainType = trackType.replace(/^(tunnel|crossing|station|bridge|trestle)-/, 'straight-');
+    return STRAIGHT_SIDES[plainType] || CURVE_SIDES[plainType] || [];
+}
+
+// Ramps are named ramp-<side>-<half>: 'ramp-r-low' climbs the first half of
+// BRIDGE_HEIGHT toward its right edge, 'ramp-r-high' the second half
+function getRampSide(trackType) {
+    return SIDE_LETTERS.indexOf(trackType.split('-')[1]);
+}
+
+function isHorizontalRamp(trackType) {
+    const side = getRampSide(trackType);
+    return side === DIR.LEFT || side === DIR.RIGHT;
+}
+
+// Rail height where a piece meets the cell edge facing side: raised along a
+// bridge and the deck of an overpass, part way up at the ends of a ramp
+function getEdgeHeight(trackType, side) {
+    if (!trackType) return 0;
+
+    const horizontalSide = side === DIR.LEFT || side === DIR.RIGHT;
+    if (trackType.startsWith('bridge-')) {
+        return BRIDGE_HEIGHT;
+    }
+    if (trackType.startsWith('overpass-')) {
+        return (trackType === 'overpass-h') === horizontalSide ? BRIDGE_HEIGHT : 0;
+    }
+    if (trackType.startsWith('ramp-')) {
+        const base = trackType.endsWith('-high') ? BRIDGE_HEIGHT / 2 : 0;
+        return side === getRampSide(trackType) ? base + BRIDGE_HEIGHT / 2 : base;
+    }
+    return 0;
+}
+
+// Rail heights where a train moving in enterDir comes into a cell and leaves
+// it. Only straight pieces are raised, so it leaves moving the same way.
+function getRouteHeights(cell, enterDir) {
+    return {
+        start: getEdgeHeight(cell.trackType, (enterDir + 2) % 4),
+        end: getEdgeHeight(cell.trackType, enterDir)
+    };
+}
+
+// Length of the rails through a cell in cells: longer than one on a ramp
+function getRouteLength(cell, enterDir) {
+    const heights = getRouteHeights(cell, enterDir);
+    return Math.hypot(CELL_SIZE, heights.end - heights.start) / CELL_SIZE;
+}
+
+// Key for the stretch of track a train moving in enterDir is on. The deck of
+// an overpass is apart from the line beneath it, so trains on the two levels
+// don't wait for each other.
+function getOccupancyKey(row, col, enterDir) {
+    const cell = getCell(row, col);
+    const onDeck = cell.trackType && cell.trackType.startsWith('overpass-') && getEdgeHeight(cell.trackType, enterDir) > 0;
+    return onDeck ? `${row},${col},deck` : `${row},${col}`;
+}
+
+// Switch pieces are named switch-<axis>-<corner>: 'switch-h-tl' is 'straight-h'
+// plus 'curve-tl'. The toe is the edge both legs share.
+function getSwitchLegs(trackType) {
+    const [, axis, corner] = trackType.split('-');
+    const straight = `straight-${axis}`;
+    const diverging = `curve-${corner}`;
+    const toe = CURVE_SIDES[diverging].find(side => STRAIGHT_SIDES[straight].includes(side));
+    return { straight, diverging, toe };
+}
+
+// The plain piece a train runs over when entering a cell moving in enterDir.
+// Switches resolve to one of their legs; entering at the toe follows the points.
+// Diamonds and overpasses resolve to the straight on the axis of travel,
+// stations, bridges, ramps and trestles to their straight.
+function getRouteType(cell, enterDir) {
+    if (cell.trackType === 'diamond' || cell.trackType.startsWith('overpass-')) {
+        return enterDir === DIR.LEFT || enterDir === DIR.RIGHT ? 'straight-h' : 'straight-v';
+    }
+    if (/^(station|bridge|ramp|trestle)-/.test(cell.trackType)) {
+        return getTrackSides(cell.trackType).includes(DIR.LEFT) ? 'straight-h' : 'straight-v';
+    }
+    if (!cell.trackType.startsWith('switch-')) {
+        return cell.trackType;
+    }
+
+    const legs = getSwitchLegs(cell.trackType);
+    const entrySide = (enterDir + 2) % 4;
+    if (entrySide === legs.toe) {
+        return cell.points === 'diverging' ? legs.diverging : legs.straight;
+    }
+    return STRAIGHT_SIDES[legs.straight].includes(entrySide) ? legs.straight : legs.diverging;
+}
+
+// Same as getRouteType, but for a train leaving the cell moving in exitDir
+function getRouteTypeForExit(cell, exitDir) {
+    if (cell.trackType === 'diamond' || cell.trackType.startsWith('overpass-')) {
+        return exitDir === DIR.LEFT || exitDir === DIR.RIGHT ? 'straight-h' : 'straight-v';
+    }
+    if (/^(station|bridge|ramp|trestle)-/.test(cell.trackType)) {
+        return getTrackSides(cell.trackType).includes(DIR.LEFT) ? 'straight-h' : 'straight-v';
+    }
+    if (!cell.trackType.startsWith('switch-')) {
+        return cell.trackType;
+    }
+
+    const legs = getSwitchLegs(cell.trackType);
+    if (exitDir === legs.toe) {
+        return cell.points === 'diverging' ? legs.diverging : legs.straight;
+    }
+    return STRAIGHT_SIDES[legs.straight].includes(exitDir) ? legs.straight : legs.diverging;
+}
+
 // Connectivity logic using enterDir as direction from previous cell
 function getNextState(row, col, enterDir, trackType) {
     // Returns { row, col, exitDir, nextEnterDir } or null
@@ -3236,15 +7047,20 @@ function getNextState(row, col, enterDir, trackType) {
         return null; // Invalid enterDir for this track type
     }
 
+    // A raised end only joins another end at the same height
+    if (getEdgeHeight(getCell(row, col).trackType, exitDir) !== getEdgeHeight(getCell(nextRow, nextCol).trackType, (exitDir + 2) % 4)) {
+        return null;
+    }
+
     const nextEnterDir = exitDir;
     return { row: nextRow, col: nextCol, exitDir, nextEnterDir };
 }
 
 function updateSegmentPosition(segment) {
-    const cell = grid[segment.row][segment.col];
+    const cell = getCell(segment.row, segment.col);
     if (!cell || cell.kind !== 'track') return;
 
-    const trackType = cell.trackType;
+    const trackType = getRouteType(cell, segment.enterDir);
 
     const cellCenterX = segment.col * CELL_SIZE + CELL_SIZE / 2;
     const cellCenterZ = segment.row * CELL_SIZE + CELL_SIZE / 2;
@@ -3344,9 +7160,21 @@ function updateSegmentPosition(segment) {
         }
     }
 
+    // Climb or descend on ramps, pitched to match the slope
+    const heights = getRouteHeights(cell, segment.enterDir);
+    const pitch = Math.atan2(heights.end - heights.start, CELL_SIZE);
+
     segment.mesh.position.x = x;
+    // Height is added to what the mesh was built at on the ground
+    if (segment.mesh.userData.groundY === undefined) {
+        segment.mesh.userData.groundY = segment.mesh.position.y;
+    }
+    segment.mesh.position.y = segment.mesh.userData.groundY + heights.start + (heights.end - heights.start) * segment.progress;
     segment.mesh.position.z = z;
-    segment.mesh.rotation.y = rotation;
+    // Segments of a reversed train keep facing the way they were coupled
+    segment.mesh.rotation.order = 'YXZ';
+    segment.mesh.rotation.y = segment.facingBack ? rotation + Math.PI : rotation;
+    segment.mesh.rotation.x = segment.facingBack ? pitch : -pitch;
 }
 
 // ============================================================================
@@ -3376,7 +7204,7 @@ function initAudio() {
 }
 
 function playSound(type) {
-    if (!soundEnabled || !audioContext) return;
+    if (!soundEnabled || !audioContext || isLoadingLayout) return;
 
     const oscillator = audioContext.createOscillator();
     const gainNode = audioContext.createGain();
@@ -3398,6 +7226,25 @@ function playSound(type) {
         gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.2);
         oscillator.start(now);
         oscillator.stop(now + 0.2);
+    } else if (type === 'chime') {
+        // Two-tone station chime
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(880, now);
+        oscillator.frequency.setValueAtTime(660, now + 0.3);
+        gainNode.gain.setValueAtTime(0.15, now);
+        gainNode.gain.setValueAtTime(0.15, now + 0.55);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.9);
+        oscillator.start(now);
+        oscillator.stop(now + 0.9);
+    } else if (type === 'crash') {
+        // Low rumbling drop
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.setValueAtTime(180, now);
+        oscillator.frequency.exponentialRampToValueAtTime(40, now + 0.6);
+        gainNode.gain.setValueAtTime(0.25, now);
+        gainNode.gain.exponentialRampToValueAtTime(0.01, now + 0.6);
+        oscillator.start(now);
+        oscillator.stop(now + 0.6);
     }
 }
 
@@ -3422,6 +7269,34 @@ function updateSteamEngineSound() {
     }
 }
 
+// Electric whine for bullet trains, rising in pitch with the fastest one's speed
+function updateBulletSound() {
+    if (!audioContext) return;
+
+    if (!bulletHum) {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.type = 'triangle';
+        gain.gain.value = 0;
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+        oscillator.start();
+        bulletHum = { oscillator, gain };
+    }
+
+    let topSpeed = 0;
+    trains.forEach(train => {
+        if (train.segments[0].type === 'engine-bullet' && !train.stopped) {
+            topSpeed = Math.max(topSpeed, train.currentSpeed);
+        }
+    });
+
+    const now = audioContext.currentTime;
+    const audible = soundEnabled && isPlaying && topSpeed > 0.05;
+    bulletHum.gain.gain.setTargetAtTime(audible ? 0.03 + topSpeed * 0.01 : 0, now, 0.1);
+    bulletHum.oscillator.frequency.setTargetAtTime(140 + topSpeed * 90, now, 0.1);
+}
+
 // ============================================================================
 // CROSSING ANIMATION
 // ============================================================================
@@ -3557,6 +7432,116 @@ function playDingSound() {
     }
 }
 
+// ============================================================================
+// SIGNAL ANIMATION
+// ============================================================================
+
+function updateSignals(delta) {
+    const occupancy = buildOccupancyMap();
+
+    // First find which trains are in each signal's block, then set aspects,
+    // since yellow depends on the next signal's state
+    signals.forEach(signal => {
+        const block = getSignalBlock(signal);
+        signal.occupants = new Set();
+        block.cells.forEach(key => {
+            const occupants = occupancy.get(key);
+            if (occupants) {
+                occupants.forEach(train => signal.occupants.add(train));
+            }
+        });
+        signal.next = block.next;
+    });
+
+    signals.forEach(signal => {
+        if (signal.occupants.size > 0) {
+            signal.aspect = 'red';
+        } else if (signal.next && signal.next.occupants.size > 0) {
+            signal.aspect = 'yellow';
+        } else {
+            signal.aspect = 'green';
+        }
+
+        // Fade lamps toward the current aspect
+        const lamps = signal.mesh.userData.lamps;
+        Object.keys(lamps).forEach(aspect => {
+            const material = lamps[aspect].material;
+            const target = aspect === signal.aspect ? 1.0 : 0;
+            const step = delta * 6;
+            if (material.emissiveIntensity < target) {
+                material.emissiveIntensity = Math.min(target, material.emissiveIntensity + step);
+            } else {
+                material.emissiveIntensity = Math.max(target, material.emissiveIntensity - step);
+            }
+        });
+    });
+}
+
+// Cells a signal protects: from the cell past it up to and including the cell of
+// the next signal facing the same way, following the switches as currently set.
+// Returns { cells: ["row,col", ...], next: signal or null }
+function getSignalBlock(signal) {
+    const cells = [];
+    let row = signal.row + DIR_OFFSETS[signal.dir].dr;
+    let col = signal.col + DIR_OFFSETS[signal.dir].dc;
+    let enterDir = signal.dir;
+
+    // Each cell is passed at most twice, a diamond once on each axis
+    for (let i = 0; i < 2 * world.size; i++) {
+        const cell = getTrackAt(row, col);
+        if (!cell) break;
+        cells.push(getOccupancyKey(row, col, enterDir));
+
+        const next = getNextState(row, col, enterDir, getRouteType(cell, enterDir));
+        if (!next) break;
+
+        const nextSignal = getSignalAt(row, col);
+        if (nextSignal && nextSignal.dir === next.exitDir) {
+            return { cells, next: nextSignal };
+        }
+
+        row = next.row;
+        col = next.col;
+        enterDir = next.nextEnterDir;
+    }
+
+    return { cells, next: null };
+}
+
+// A train only waits for other trains; its own tail in a short loop doesn't count
+function isSignalRedFor(signal, train) {
+    return [...signal.occupants].some(other => other !== train);
+}
+
+// ============================================================================
+// STATION PASSENGERS
+// ============================================================================
+
+function updateStations(delta) {
+    if (!isPlaying) return;
+
+    stations.forEach(station => {
+        station.passengers = station.passengers.filter(passenger => {
+            passenger.timer += delta;
+            const t = Math.min(passenger.timer / passenger.duration, 1);
+
+            // Pop in, walk across, pop out again
+            passenger.mesh.position.lerpVectors(passenger.from, passenger.to, t);
+            passenger.mesh.scale.setScalar(Math.max(0.01, Math.min(1, t * 5, (1 - t) * 5)));
+            passenger.mesh.rotation.y = Math.atan2(
+                passenger.to.x - passenger.from.x,
+                passenger.to.z - passenger.from.z
+            );
+
+            if (t >= 1) {
+                station.mesh.remove(passenger.mesh);
+                return false;
+            }
+            return true;
+        });
+    });
+}
+
 // ============================================================================
 // CAMERA FOLLOW MODE
 // ============================================================================
@@ -3571,6 +7556,10 @@ function enterFollowMode(train) {
     followCameraHeight = 1.5;
 
     followingTrain = train;
+
+    // Show the speed slider for this train
+    document.getElementById('speed-slider').value = train.speed;
+    document.getElementById('speed-panel').classList.add('visible');
     console.log('Following train');
 }
 
@@ -3585,17 +7574,19 @@ function exitFollowMode() {
 
     followingTrain = null;
     controls.enabled = true;
+    document.getElementById('speed-panel').classList.remove('visible');
     console.log('Exited follow mode');
 }
 
 function updateFollowCamera() {
     if (!followingTrain || followingTrain.segments.length === 0) return;
 
-    const engine = followingTrain.segments[0];
+    // Follow whichever end is leading, looking the way the train travels
+    const engine = getTravelOrder(followingTrain)[0];
     const enginePos = engine.mesh.position;
 
-    // Get engine rotation to position camera behind it
-    const engineRotation = engine.mesh.rotation.y;
+    // Get heading to position camera behind it
+    const engineRotation = engine.facingBack ? engine.mesh.rotation.y - Math.PI : engine.mesh.rotation.y;
 
     // Position camera behind the train based on its rotation and current zoom level
     camera.position.x = enginePos.x - Math.sin(engineRotation) * followCameraDistance;
@@ -3617,56 +7608,906 @@ function updateFollowCamera() {
 // ANIMATION LOOP
 // ============================================================================
 
-let lastTime = 0;
+let lastTime = 0;
+
+function animate(time = 0) {
+    requestAnimationFrame(animate);
+
+    const delta = Math.min((time - lastTime) / 1000, 0.1);
+    lastTime = time;
+
+    // Update camera to follow train if in follow mode
+    if (followingTrain && followingTrain.segments.length > 0) {
+        updateFollowCamera();
+        controls.enabled = false;
+    } else if (drawStroke || selectionDrag || brushStroke) {
+        controls.enabled = false;
+    } else {
+        controls.enabled = true;
+        controls.update();
+        clampCameraTarget();
+    }
+
+    updateSignals(delta);
+    stepTrains(delta);
+    updateDerailments(delta);
+    updateBulletSound();
+    updateCrossings(delta);
+    updateStations(delta);
+    updateWater(delta);
+    updateVehicles(delta);
+    updateScenery(delta);
+    updateSnow(delta);
+    renderer.render(scene, camera);
+}
+
+function updateSnow(delta) {
+    if (!snowParticles) return;
+
+    const positions = snowParticles.geometry.attributes.position;
+    const velocities = snowParticles.userData.velocities;
+    const minX = groundBounds.left * CELL_SIZE;
+    const maxX = groundBounds.right * CELL_SIZE;
+    const minZ = groundBounds.top * CELL_SIZE;
+    const maxZ = groundBounds.bottom * CELL_SIZE;
+
+    for (let i = 0; i < positions.count; i++) {
+        const i3 = i * 3;
+
+        // Update position based on velocity
+        positions.array[i3] += velocities[i3] * delta * 10;
+        positions.array[i3 + 1] += velocities[i3 + 1] * delta * 10;
+        positions.array[i3 + 2] += velocities[i3 + 2] * delta * 10;
+
+        // Reset particle if it falls below ground or goes out of bounds
+        if (positions.array[i3 + 1] < 0 ||
+            positions.array[i3] < minX || positions.array[i3] > maxX ||
+            positions.array[i3 + 2] < minZ || positions.array[i3 + 2] > maxZ) {
+            // Reset to top with random position
+            positions.array[i3] = minX + Math.random() * (maxX - minX);
+            positions.array[i3 + 1] = 20 + Math.random() * 10;
+            positions.array[i3 + 2] = minZ + Math.random() * (maxZ - minZ);
+        }
+    }
+
+    positions.needsUpdate = true;
+}
+
+// ============================================================================
+// UNDO / REDO
+// ============================================================================
+
+// Run an editing action and, if it changed anything, record the steps it took
+// as one command
+function recordEdit(label, action) {
+    const finishEdit = beginEdit(label);
+    try {
+        action();
+    } finally {
+        finishEdit();
+    }
+}
+
+// Start collecting the steps of an edit that spans several events, like a
+// drag. Call the returned function when the edit is done to record them as one
+// command. Inside an edit already open, the steps simply join that one.
+function beginEdit(label) {
+    if (editSteps) return () => {};
+
+    const steps = editSteps = [];
+    return () => {
+        editSteps = null;
+        if (steps.length === 0) return;
+
+        pushCommand({
+            label: label,
+            undo: () => steps.slice().reverse().forEach(step => step.undo()),
+            redo: () => steps.forEach(step => step.redo())
+        });
+    };
+}
+
+// Called by the mutators with a pair of closures that take back and repeat
+// their change; ignored outside an edit (loading, undoing, redoing)
+function recordStep(undo, redo) {
+    if (editSteps) {
+        editSteps.push({ undo, redo });
+    }
+}
+
+// Add an object to one of the world lists (crossings, signals, stations),
+// with its mesh if it has one of its own
+function addToList(list, item, mesh = null) {
+    list.push(item);
+    if (mesh) {
+        scene.add(mesh);
+    }
+    recordStep(() => removeFromList(list, item, mesh), () => addToList(list, item, mesh));
+}
+
+function removeFromList(list, item, mesh = null) {
+    list.splice(list.indexOf(item), 1);
+    if (mesh) {
+        scene.remove(mesh);
+    }
+    recordStep(() => addToList(list, item, mesh), () => removeFromList(list, item, mesh));
+}
+
+function pushCommand(command) {
+    undoStack.push(command);
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    updateHistoryButtons();
+    scheduleAutosave();
+}
+
+function undo() {
+    if (editSteps) return; // Wait for the edit in progress, like a drag, to finish
+    const command = undoStack.pop();
+    if (!command) return;
+
+    command.undo();
+    redoStack.push(command);
+    console.log('Undo:', command.label);
+    playSound('place');
+    updateSteamEngineSound();
+    updateGhostPreview();
+    updateHistoryButtons();
+    scheduleAutosave();
+}
+
+function redo() {
+    if (editSteps) return; // Wait for the edit in progress, like a drag, to finish
+    const command = redoStack.pop();
+    if (!command) return;
+
+    command.redo();
+    undoStack.push(command);
+    console.log('Redo:', command.label);
+    playSound('place');
+    updateSteamEngineSound();
+    updateGhostPreview();
+    updateHistoryButtons();
+    scheduleAutosave();
+}
+
+// Replace the whole world with a layout, as a single step that swaps the
+// world objects from before and after back in
+function restoreLayout(layout) {
+    exitFollowMode();
+    const before = captureWorld();
+    loadLayout(layout);
+    const after = captureWorld();
+    recordStep(() => swapWorld(before), () => swapWorld(after));
+    updateSteamEngineSound();
+    updateGhostPreview();
+}
+
+// The live world containers; loadLayout replaces rather than empties them
+function captureWorld() {
+    return { gridSize, world, trains, crossings, signals, stations, scenery, terrain, water };
+}
+
+function swapWorld(saved) {
+    exitFollowMode();
+    setWorldInScene(false);
+    ({ world, trains, crossings, signals, stations, scenery, terrain, water } = saved);
+    setWorldInScene(true);
+    updateTerrainMesh();
+    updateWaterMesh();
+    syncVehicles();
+
+    // Lay the ground under it again, as buildLayout does
+    isLoadingLayout = true;
+    clearGround();
+    setGridSize(saved.gridSize);
+    extendGround(0, 0, gridSize, gridSize);
+    forEachCell((cell, row, col) => extendGround(row, col, row + 1, col + 1));
+    [...terrain.keys(), ...water].forEach(key => {
+        const [row, col] = key.split(',').map(Number);
+        extendGround(row, col, row + 1, col + 1);
+    });
+    isLoadingLayout = false;
+    fitSceneToGround();
+}
+
+// Add or take away the meshes of everything in the world
+function setWorldInScene(visible) {
+    const meshes = [];
+    world.forEach(cell => {
+        if (cell.mesh) meshes.push(cell.mesh);
+    });
+    trains.forEach(train => train.segments.forEach(seg => meshes.push(seg.mesh)));
+    signals.forEach(signal => meshes.push(signal.mesh));
+    meshes.forEach(mesh => visible ? scene.add(mesh) : scene.remove(mesh));
+
+    if (!visible) {
+        crossings.forEach(crossing => {
+            if (crossing.dingSound && !crossing.dingSound.paused) {
+                crossing.dingSound.pause();
+            }
+        });
+    }
+}
+
+function updateHistoryButtons() {
+    document.getElementById('undo-btn').disabled = undoStack.length === 0;
+    document.getElementById('redo-btn').disabled = redoStack.length === 0;
+}
+
+// ============================================================================
+// AUTOSAVE
+// ============================================================================
+
+// Save a little while after the last edit, so a burst of taps is one write
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveAutosave, AUTOSAVE_DELAY);
+}
+
+function flushAutosave() {
+    if (autosaveTimer) {
+        saveAutosave();
+    }
+}
+
+function saveAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+
+    const saved = {
+        format: AUTOSAVE_FORMAT,
+        savedAt: new Date().toISOString(),
+        layout: serializeLayout()
+    };
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(saved));
+    } catch (err) {
+        // Storage full or disabled (private browsing); keep playing without it
+        console.warn('Autosave failed:', err);
+    }
+}
+
+// Load the autosaved world. Returns false if there is nothing usable, leaving
+// the caller to fall back to the default layout. An autosave that can't be
+// opened is copied aside first, since the next edit overwrites it.
+function restoreAutosave() {
+    let raw;
+    try {
+        raw = localStorage.getItem(AUTOSAVE_KEY);
+    } catch (err) {
+        console.warn('Autosave unavailable:', err);
+        return false;
+    }
+    if (!raw) return false;
+
+    let saved;
+    try {
+        saved = JSON.parse(raw);
+    } catch (err) {
+        backUpAutosave(raw, 'Saved world was damaged and could not be opened', err);
+        return false;
+    }
+
+    if (!saved || typeof saved !== 'object' || !saved.layout || typeof saved.layout !== 'object') {
+        backUpAutosave(raw, 'Saved world was damaged and could not be opened');
+        return false;
+    }
+    if (saved.format !== AUTOSAVE_FORMAT) {
+        backUpAutosave(raw, 'Saved world is from a different version of KaiTrain');
+        return false;
+    }
+
+    try {
+        loadLayout(saved.layout);
+    } catch (err) {
+        backUpAutosave(raw, 'Saved world could not be loaded', err);
+        return false;
+    }
+    return true;
+}
+
+function backUpAutosave(raw, message, err = null) {
+    console.warn(message, err || '');
+    showToast(message);
+    try {
+        localStorage.setItem(AUTOSAVE_BACKUP_KEY, raw);
+        console.warn(`The unopened autosave was kept in localStorage as "${AUTOSAVE_BACKUP_KEY}"`);
+    } catch (backupErr) {
+        console.warn('Could not back up autosave:', backupErr);
+    }
+}
+
+// ============================================================================
+// SAVE SLOTS
+// ============================================================================
+
+// Named saves: [{ id, name, modified, thumbnail, layout }], newest first
+function readSaves() {
+    try {
+        const saves = JSON.parse(localStorage.getItem(SAVES_KEY) || '[]');
+        return Array.isArray(saves) ? saves : [];
+    } catch (err) {
+        console.warn('Saved worlds could not be read:', err);
+        return [];
+    }
+}
+
+// Returns false if storage is full or unavailable
+function writeSaves(saves) {
+    try {
+        localStorage.setItem(SAVES_KEY, JSON.stringify(saves));
+        return true;
+    } catch (err) {
+        console.warn('Saved worlds could not be written:', err);
+        showToast('Not enough space to save. Delete an old world first.');
+        return false;
+    }
+}
+
+function createSaveId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// Small JPEG of the current view
+function captureThumbnail() {
+    // Draw a fresh frame so the canvas still holds it when we read it back
+    renderer.render(scene, camera);
+
+    const thumb = document.createElement('canvas');
+    thumb.width = THUMBNAIL_WIDTH;
+    thumb.height = THUMBNAIL_HEIGHT;
+    const ctx = thumb.getContext('2d');
+    if (!ctx) return null;
+
+    // Crop the middle of the view to the thumbnail's shape
+    const source = renderer.domElement;
+    const scale = Math.min(source.width / THUMBNAIL_WIDTH, source.height / THUMBNAIL_HEIGHT);
+    const cropWidth = THUMBNAIL_WIDTH * scale;
+    const cropHeight = THUMBNAIL_HEIGHT * scale;
+    ctx.drawImage(
+        source,
+        (source.width - cropWidth) / 2, (source.height - cropHeight) / 2, cropWidth, cropHeight,
+        0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT
+    );
+    return thumb.toDataURL('image/jpeg', 0.7);
+}
+
+// A world opened from a save can update that save in place; otherwise, or if
+// the player would rather keep it, the world is saved under a new name
+function saveCurrentWorld() {
+    const saves = readSaves();
+    const opened = saves.find(entry => entry.id === openSaveId);
+    let save;
+    if (opened && confirm(`Update "${opened.name}" with this world? Cancel to save it as a new world.`)) {
+        save = opened;
+        saves.splice(saves.indexOf(save), 1);
+    } else {
+        const name = prompt('Name this world:', `My world ${saves.length + 1}`);
+        if (name === null) return;
+        save = { id: createSaveId(), name: name.trim() || 'Untitled' };
+    }
+
+    save.modified = Date.now();
+    save.thumbnail = captureThumbnail();
+    save.layout = serializeLayout();
+    saves.unshift(save);
+    if (writeSaves(saves)) {
+        openSaveId = save.id;
+        playSound('place');
+        renderSavesList();
+    }
+}
+
+function openSave(id) {
+    const save = readSaves().find(entry => entry.id === id);
+    if (!save) return;
+
+    try {
+        recordEdit(`open ${save.name}`, () => restoreLayout(save.layout));
+    } catch (err) {
+        console.warn('Saved world could not be loaded:', err);
+        showToast(`"${save.name}" can't be opened: ${err.message}`);
+        return;
+    }
+    openSaveId = id;
+    document.getElementById('saves-panel').classList.remove('visible');
+    showToast(`Opened "${save.name}"`);
+}
+
+function renameSave(id) {
+    const saves = readSaves();
+    const save = saves.find(entry => entry.id === id);
+    if (!save) return;
+
+    const name = prompt('Rename world:', save.name);
+    if (name === null || !name.trim()) return;
+
+    save.name = name.trim();
+    save.modified = Date.now();
+    if (writeSaves(saves)) {
+        renderSavesList();
+    }
+}
+
+function duplicateSave(id) {
+    const saves = readSaves();
+    const index = saves.findIndex(entry => entry.id === id);
+    if (index === -1) return;
+
+    const copy = {
+        ...saves[index],
+        id: createSaveId(),
+        name: `${saves[index].name} (copy)`,
+        modified: Date.now()
+    };
+    saves.splice(index, 0, copy);
+    if (writeSaves(saves)) {
+        renderSavesList();
+    }
+}
+
+function deleteSave(id) {
+    const saves = readSaves();
+    const save = saves.find(entry => entry.id === id);
+    if (!save || !confirm(`Delete "${save.name}"?`)) return;
+
+    if (writeSaves(saves.filter(entry => entry.id !== id))) {
+        renderSavesList();
+    }
+}
+
+function openSavesPanel() {
+    renderSavesList();
+    document.getElementById('saves-panel').classList.add('visible');
+}
+
+function renderSavesList() {
+    const list = document.getElementById('saves-list');
+    list.replaceChildren();
+
+    const saves = readSaves();
+    if (saves.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'saves-empty';
+        empty.textContent = 'No saved worlds yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    saves.forEach(save => {
+        const entry = document.createElement('div');
+        entry.className = 'save-entry';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'save-thumb';
+        thumb.alt = '';
+        if (save.thumbnail) {
+            thumb.src = save.thumbnail;
+        }
+        thumb.addEventListener('click', () => openSave(save.id));
+
+        const info = document.createElement('div');
+        info.className = 'save-info';
+        const name = document.createElement('div');
+        name.className = 'save-name';
+        name.textContent = save.name;
+        const time = document.createElement('div');
+        time.className = 'save-time';
+        time.textContent = new Date(save.modified).toLocaleString();
+        info.append(name, time);
+
+        const actions = document.createElement('div');
+        actions.className = 'save-actions';
+        [
+            ['📂', 'Open', () => openSave(save.id)],
+            ['✏️', 'Rename', () => renameSave(save.id)],
+            ['📑', 'Duplicate', () => duplicateSave(save.id)],
+            ['🗑️', 'Delete', () => deleteSave(save.id)]
+        ].forEach(([icon, title, handler]) => {
+            const btn = document.createElement('button');
+            btn.className = 'save-action';
+            btn.title = title;
+            btn.textContent = icon;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        });
+
+        entry.append(thumb, info, actions);
+        list.appendChild(entry);
+    });
+}
+
+// Short message at the bottom of the screen
+function showToast(message) {
+    const toast = document.getElementById('toast');
+    toast.textContent = message;
+    toast.classList.add('visible');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toast.classList.remove('visible'), 3000);
+}
+
+// ============================================================================
+// LAYOUT SCHEMA
+// ============================================================================
+
+// Each migration upgrades a layout from the version it's keyed by to the next
+const LAYOUT_MIGRATIONS = {
+    // Version 1 is the original format (DEFAULT_LAYOUT): no version field, no
+    // signals or stations, and trains without speed or end-of-line settings
+    1: (layout) => ({
+        ...layout,
+        tracks: layout.tracks || [],
+        trains: (layout.trains || []).map(train => ({
+            reversed: false,
+            endOfLine: 'stop',
+            speed: train.engineType === 'engine-bullet' ? BULLET_TRAIN_SPEED : DEFAULT_TRAIN_SPEED,
+            ...train,
+            cars: train.cars || []
+        })),
+        crossings: layout.crossings || [],
+        signals: [],
+        stations: [],
+        trees: layout.trees || [],
+        version: 2
+    }),
+    // Version 2 worlds were always 16 cells across
+    2: (layout) => ({
+        ...layout,
+        size: 16,
+        version: 3
+    }),
+    // Version 3 kept everything inside the size × size world, which version 4
+    // still allows, so only the number changes
+    3: (layout) => ({
+        ...layout,
+        version: 4
+    }),
+    // Version 4 worlds were flat
+    4: (layout) => ({
+        ...layout,
+        terrain: [],
+        version: 5
+    }),
+    // Version 5 worlds had no water
+    5: (layout) => ({
+        ...layout,
+        water: [],
+        version: 6
+    }),
+    // Version 6 worlds had no roads
+    6: (layout) => ({
+        ...layout,
+        roads: [],
+        version: 7
+    }),
+    // Version 7 worlds had no buildings or other scenery besides trees
+    7: (layout) => ({
+        ...layout,
+        scenery: [],
+        version: 8
+    })
+};
+
+function createLayoutError(problems) {
+    problems.forEach(problem => console.warn(`Layout problem at ${problem.path}: ${problem.message}`));
+
+    const first = problems[0];
+    let message = `${first.path ? first.path + ': ' : ''}${first.message}`;
+    if (problems.length > 1) {
+        message += ` (and ${problems.length - 1} more ${problems.length === 2 ? 'problem' : 'problems'})`;
+    }
+    const err = new Error(message);
+    err.problems = problems;
+    return err;
+}
+
+// Lists a layout of any version may have
+const LAYOUT_LISTS = ['tracks', 'trains', 'crossings', 'signals', 'stations', 'trees', 'terrain', 'water', 'roads', 'scenery'];
+
+// Check the parts of the layout the migrations read before running them: an
+// object with at least one layout field, whose lists hold objects.
+// Returns [{ path, message }] like validateLayout.
+function checkLayoutShape(layout) {
+    if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+        return [{ path: '', message: 'not a layout object' }];
+    }
+    if (!['version', 'size', ...LAYOUT_LISTS].some(key => key in layout)) {
+        return [{ path: '', message: 'doesn\'t contain a layout' }];
+    }
+
+    const problems = [];
+    LAYOUT_LISTS.forEach(key => {
+        if (layout[key] === undefined) return;
+        if (!Array.isArray(layout[key])) {
+            problems.push({ path: key, message: 'should be a list' });
+            return;
+        }
+        layout[key].forEach((item, i) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                problems.push({ path: `${key}[${i}]`, message: 'should be an object' });
+            }
+        });
+    });
+    return problems;
+}
+
+// Bring a layout of any known version up to LAYOUT_VERSION
+function migrateLayout(layoutData) {
+    const shapeProblems = checkLayoutShape(layoutData);
+    if (shapeProblems.length > 0) {
+        throw createLayoutError(shapeProblems);
+    }
+
+    let layout = layoutData;
+    let version = layout.version === undefined ? 1 : layout.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw createLayoutError([{ path: 'version', message: `unknown version ${JSON.stringify(version)}` }]);
+    }
+    if (version > LAYOUT_VERSION) {
+        throw createLayoutError([{ path: 'version', message: `made by a newer KaiTrain (version ${version})` }]);
+    }
+
+    while (version < LAYOUT_VERSION) {
+        layout = LAYOUT_MIGRATIONS[version](layout);
+        version = layout.version;
+    }
+    return layout;
+}
+
+function isKnownTrackType(trackType) {
+    if (typeof trackType !== 'string') return false;
+    if (STRAIGHT_SIDES[trackType] || CURVE_SIDES[trackType] || trackType === 'diamond') return true;
+    if (/^(crossing|tunnel|station|bridge|overpass|trestle)-[hv]$/.test(trackType)) return true;
+    if (/^ramp-[trbl]-(low|high)$/.test(trackType)) return true;
+    return /^switch-[hv]-(tl|tr|bl|br)$/.test(trackType);
+}
+
+// Check a current-version layout. Returns [{ path, message }] for every
+// problem found, empty if the layout is safe to build.
+function validateLayout(layout) {
+    const problems = [];
+    const report = (path, message) => problems.push({ path, message });
+
+    if (!(Number.isInteger(layout.size) && layout.size >= MIN_GRID_SIZE && layout.size <= MAX_GRID_SIZE)) {
+        report('size', `should be a whole number from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}`);
+    }
+    const isCell = (value) => Number.isInteger(value) && Math.abs(value) <= WORLD_LIMIT;
+    const checkCell = (item, path) => {
+        if (!item || typeof item !== 'object') {
+            report(path, 'should be an object');
+            return false;
+        }
+        let ok = true;
+        ['row', 'col'].forEach(key => {
+            if (!isCell(item[key])) {
+                report(`${path}.${key}`, `should be a whole number from ${-WORLD_LIMIT} to ${WORLD_LIMIT}`);
+                ok = false;
+            }
+        });
+        return ok;
+    };
+    const checkDir = (value, path) => {
+        if (!Number.isInteger(value) || value < 0 || value > 3) {
+            report(path, 'should be a direction from 0 to 3');
+        }
+    };
+    const checkTwoCell = (item, path) => {
+        if (typeof item.horizontal !== 'boolean') {
+            report(`${path}.horizontal`, 'should be true or false');
+        } else if ((item.horizontal ? item.col : item.row) + 1 > WORLD_LIMIT) {
+            report(path, 'runs off the edge of the world');
+        }
+    };
+    const list = (key) => {
+        const value = layout[key];
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            report(key, 'should be a list');
+            return [];
+        }
+        return value;
+    };
+
+    if (layout.version !== LAYOUT_VERSION) {
+        report('version', `should be ${LAYOUT_VERSION}`);
+    }
+
+    // Cells covered by track, including the second cell of crossings and stations
+    const trackCells = new Set();
+
+    list('tracks').forEach((track, i) => {
+        const path = `tracks[${i}]`;
+        if (!checkCell(track, path)) return;
+        if (!isKnownTrackType(track.trackType)) {
+            report(`${path}.trackType`, `unknown track type ${JSON.stringify(track.trackType)}`);
+        }
+        if (track.points !== undefined) {
+            if (typeof track.trackType !== 'string' || !track.trackType.startsWith('switch-')) {
+                report(`${path}.points`, 'only switches have points');
+            } else if (track.points !== 'straight' && track.points !== 'diverging') {
+                report(`${path}.points`, 'should be "straight" or "diverging"');
+            }
+        }
+        const key = `${track.row},${track.col}`;
+        if (trackCells.has(key)) {
+            report(path, `more than one track at row ${track.row}, col ${track.col}`);
+        }
+        trackCells.add(key);
+    });
+
+    list('crossings').forEach((crossing, i) => {
+        const path = `crossings[${i}]`;
+        if (!checkCell(crossing, path)) return;
+        checkTwoCell(crossing, path);
+        trackCells.add(`${crossing.row},${crossing.col}`);
+        trackCells.add(crossing.horizontal ? `${crossing.row},${crossing.col + 1}` : `${crossing.row + 1},${crossing.col}`);
+    });
 
-function animate(time = 0) {
-    requestAnimationFrame(animate);
+    list('stations').forEach((station, i) => {
+        const path = `stations[${i}]`;
+        if (!checkCell(station, path)) return;
+        checkTwoCell(station, path);
+        if (station.dwell !== undefined && !(typeof station.dwell === 'number' && station.dwell > 0)) {
+            report(`${path}.dwell`, 'should be a number of seconds');
+        }
+        trackCells.add(`${station.row},${station.col}`);
+        trackCells.add(station.horizontal ? `${station.row},${station.col + 1}` : `${station.row + 1},${station.col}`);
+    });
 
-    const delta = Math.min((time - lastTime) / 1000, 0.1);
-    lastTime = time;
+    list('signals').forEach((signal, i) => {
+        const path = `signals[${i}]`;
+        if (!checkCell(signal, path)) return;
+        checkDir(signal.dir, `${path}.dir`);
+        if (!trackCells.has(`${signal.row},${signal.col}`)) {
+            report(path, `no track at row ${signal.row}, col ${signal.col}`);
+        }
+    });
 
-    // Update camera to follow train if in follow mode
-    if (followingTrain && followingTrain.segments.length > 0) {
-        updateFollowCamera();
-        controls.enabled = false;
-    } else {
-        controls.enabled = true;
-        controls.update();
-    }
+    list('trains').forEach((train, i) => {
+        const path = `trains[${i}]`;
+        if (!checkCell(train, path)) return;
+        if (!ENGINE_TYPES.includes(train.engineType)) {
+            report(`${path}.engineType`, `unknown engine ${JSON.stringify(train.engineType)}`);
+        }
+        checkDir(train.dir, `${path}.dir`);
+        checkDir(train.enterDir, `${path}.enterDir`);
+        if (!trackCells.has(`${train.row},${train.col}`)) {
+            report(path, `no track at row ${train.row}, col ${train.col}`);
+        }
 
-    stepTrains(delta);
-    updateCrossings(delta);
-    updateSnow(delta);
-    renderer.render(scene, camera);
-}
+        if (!Array.isArray(train.cars)) {
+            report(`${path}.cars`, 'should be a list');
+        } else {
+            train.cars.forEach((carType, j) => {
+                if (!CAR_TYPES.includes(carType)) {
+                    report(`${path}.cars[${j}]`, `unknown car ${JSON.stringify(carType)}`);
+                }
+            });
+        }
+        if (train.cargo !== undefined) {
+            if (!Array.isArray(train.cargo)) {
+                report(`${path}.cargo`, 'should be a list');
+            } else {
+                train.cargo.forEach((cargo, j) => {
+                    if (cargo !== null && !FREIGHT_CARGO.includes(cargo)) {
+                        report(`${path}.cargo[${j}]`, `unknown cargo ${JSON.stringify(cargo)}`);
+                    }
+                });
+            }
+        }
+        if (train.reversed !== undefined && typeof train.reversed !== 'boolean') {
+            report(`${path}.reversed`, 'should be true or false');
+        }
+        if (train.endOfLine !== undefined && !END_OF_LINE_MODES.includes(train.endOfLine)) {
+            report(`${path}.endOfLine`, `should be one of ${END_OF_LINE_MODES.join(', ')}`);
+        }
+        if (train.speed !== undefined && !(typeof train.speed === 'number' && train.speed >= 0 && train.speed <= TRAIN_SPEEDS[TRAIN_SPEEDS.length - 1])) {
+            report(`${path}.speed`, `should be a number from 0 to ${TRAIN_SPEEDS[TRAIN_SPEEDS.length - 1]}`);
+        }
+    });
 
-function updateSnow(delta) {
-    if (!snowParticles) return;
+    list('trees').forEach((tree, i) => {
+        const path = `trees[${i}]`;
+        if (!checkCell(tree, path)) return;
+        if (tree.treeType !== undefined && ![0, 1, 2].includes(tree.treeType)) {
+            report(`${path}.treeType`, 'should be 0, 1 or 2');
+        }
+    });
 
-    const positions = snowParticles.geometry.attributes.position;
-    const velocities = snowParticles.userData.velocities;
-    const groundSize = GRID_SIZE * CELL_SIZE;
+    // Track inside a hill must be a tunnel
+    const tunnelCells = new Set(list('tracks')
+        .filter(track => track && typeof track.trackType === 'string' && track.trackType.startsWith('tunnel-'))
+        .map(track => `${track.row},${track.col}`));
+    const hillCells = new Set();
+    list('terrain').forEach((hill, i) => {
+        const path = `terrain[${i}]`;
+        if (!checkCell(hill, path)) return;
+        if (!(Number.isInteger(hill.level) && hill.level >= 1 && hill.level <= MAX_TERRAIN_LEVEL)) {
+            report(`${path}.level`, `should be a whole number from 1 to ${MAX_TERRAIN_LEVEL}`);
+        }
+        const key = `${hill.row},${hill.col}`;
+        if (hillCells.has(key)) {
+            report(path, `more than one hill at row ${hill.row}, col ${hill.col}`);
+        }
+        hillCells.add(key);
+        if (trackCells.has(key) && !tunnelCells.has(key)) {
+            report(path, `track at row ${hill.row}, col ${hill.col} goes into the hill without a tunnel`);
+        }
+    });
 
-    for (let i = 0; i < positions.count; i++) {
-        const i3 = i * 3;
+    // Water lies on flat ground, under nothing but bridges and trestles
+    const crossingWaterCells = new Set(list('tracks')
+        .filter(track => track && typeof track.trackType === 'string' && /^(bridge|trestle)-/.test(track.trackType))
+        .map(track => `${track.row},${track.col}`));
+    const treeCells = new Set(list('trees').map(tree => tree && `${tree.row},${tree.col}`));
+    const waterCells = new Set();
+    list('water').forEach((pool, i) => {
+        const path = `water[${i}]`;
+        if (!checkCell(pool, path)) return;
+        const key = `${pool.row},${pool.col}`;
+        if (waterCells.has(key)) {
+            report(path, `water listed twice at row ${pool.row}, col ${pool.col}`);
+        }
+        waterCells.add(key);
+        if (hillCells.has(key)) {
+            report(path, `water on the hill at row ${pool.row}, col ${pool.col}`);
+        }
+        if (trackCells.has(key) && !crossingWaterCells.has(key)) {
+            report(path, `track at row ${pool.row}, col ${pool.col} goes into the water without a bridge`);
+        }
+        if (treeCells.has(key)) {
+            report(path, `tree standing in the water at row ${pool.row}, col ${pool.col}`);
+        }
+    });
 
-        // Update position based on velocity
-        positions.array[i3] += velocities[i3] * delta * 10;
-        positions.array[i3 + 1] += velocities[i3 + 1] * delta * 10;
-        positions.array[i3 + 2] += velocities[i3 + 2] * delta * 10;
+    // Roads have a cell to themselves, on flat, dry ground
+    const roadCells = new Set();
+    list('roads').forEach((road, i) => {
+        const path = `roads[${i}]`;
+        if (!checkCell(road, path)) return;
+        const key = `${road.row},${road.col}`;
+        if (roadCells.has(key)) {
+            report(path, `more than one road at row ${road.row}, col ${road.col}`);
+        }
+        roadCells.add(key);
+        if (trackCells.has(key) || treeCells.has(key)) {
+            report(path, `row ${road.row}, col ${road.col} already has ${trackCells.has(key) ? 'track' : 'a tree'}`);
+        }
+        if (hillCells.has(key) || waterCells.has(key)) {
+            report(path, `road ${hillCells.has(key) ? 'on the hill' : 'in the water'} at row ${road.row}, col ${road.col}`);
+        }
+    });
 
-        // Reset particle if it falls below ground or goes out of bounds
-        if (positions.array[i3 + 1] < 0 ||
-            positions.array[i3] < 0 || positions.array[i3] > groundSize ||
-            positions.array[i3 + 2] < 0 || positions.array[i3 + 2] > groundSize) {
-            // Reset to top with random position
-            positions.array[i3] = Math.random() * groundSize;
-            positions.array[i3 + 1] = 20 + Math.random() * 10;
-            positions.array[i3 + 2] = Math.random() * groundSize;
+    // Scenery covers cells of its own, on flat, dry ground
+    const sceneryCells = new Set();
+    list('scenery').forEach((piece, i) => {
+        const path = `scenery[${i}]`;
+        if (!checkCell(piece, path)) return;
+        if (!SCENERY_TYPES.includes(piece.sceneryType)) {
+            report(`${path}.sceneryType`, `unknown scenery ${JSON.stringify(piece.sceneryType)}`);
+            return;
         }
-    }
+        if (![0, 1, 2, 3].includes(piece.rotation)) {
+            report(`${path}.rotation`, 'should be 0, 1, 2 or 3');
+            return;
+        }
+        getSceneryFootprint(piece).forEach(({ row, col }) => {
+            const key = `${row},${col}`;
+            if (!isCell(row) || !isCell(col)) {
+                report(path, 'runs off the edge of the world');
+            } else if (sceneryCells.has(key) || trackCells.has(key) || treeCells.has(key) || roadCells.has(key)) {
+                report(path, `row ${row}, col ${col} is already taken`);
+            } else if (hillCells.has(key) || waterCells.has(key)) {
+                report(path, `${hillCells.has(key) ? 'on the hill' : 'in the water'} at row ${row}, col ${col}`);
+            }
+            sceneryCells.add(key);
+        });
+    });
 
-    positions.needsUpdate = true;
+    return problems;
 }
 
 // ============================================================================
@@ -3674,35 +8515,56 @@ function updateSnow(delta) {
 // ============================================================================
 
 function exportLayout() {
+    const layout = serializeLayout();
+    console.log('LAYOUT_DATA:', JSON.stringify(layout, null, 2));
+    return layout;
+}
+
+// Plain data describing everything placed in the world
+function serializeLayout() {
     const layout = {
+        version: LAYOUT_VERSION,
+        size: gridSize,
         tracks: [],
         trains: [],
         crossings: [],
-        trees: []
+        signals: [],
+        stations: [],
+        trees: [],
+        terrain: [],
+        water: [],
+        roads: [],
+        scenery: []
     };
 
     // Export tracks
-    for (let r = 0; r < GRID_SIZE; r++) {
-        for (let c = 0; c < GRID_SIZE; c++) {
-            const cell = grid[r][c];
-            if (cell && cell.kind === 'track' && cell.trackType) {
-                // Skip crossing end cells (they're part of the start cell)
-                if (!cell.isCrossingEnd) {
-                    layout.tracks.push({
-                        row: r,
-                        col: c,
-                        trackType: cell.trackType
-                    });
-                }
-            } else if (cell && cell.kind === 'tree') {
-                layout.trees.push({
+    forEachCell((cell, r, c) => {
+        if (cell.kind === 'track' && cell.trackType) {
+            // Skip crossing and station end cells (they're part of the start cell)
+            if (!cell.isCrossingEnd && !cell.isStationEnd) {
+                const track = {
                     row: r,
                     col: c,
-                    treeType: cell.treeType !== undefined ? cell.treeType : 0
-                });
+                    trackType: cell.trackType
+                };
+                if (cell.points) {
+                    track.points = cell.points;
+                }
+                layout.tracks.push(track);
             }
+        } else if (cell.kind === 'tree') {
+            layout.trees.push({
+                row: r,
+                col: c,
+                treeType: cell.treeType !== undefined ? cell.treeType : 0
+            });
+        } else if (cell.kind === 'road') {
+            layout.roads.push({ row: r, col: c });
+        } else if (cell.kind === 'scenery' && cell.sceneryRow === r && cell.sceneryCol === c) {
+            const piece = getSceneryForCell(cell);
+            layout.scenery.push({ row: r, col: c, sceneryType: piece.sceneryType, rotation: piece.rotation });
         }
-    }
+    });
 
     // Export trains
     trains.forEach(train => {
@@ -3713,7 +8575,11 @@ function exportLayout() {
             engineType: engineSeg.type,
             dir: engineSeg.dir,
             enterDir: engineSeg.enterDir,
-            cars: train.segments.slice(1).map(seg => seg.type)
+            cars: train.segments.slice(1).map(seg => seg.type),
+            cargo: train.segments.slice(1).map(seg => seg.cargo || null),
+            reversed: train.reversed,
+            endOfLine: train.endOfLine,
+            speed: train.speed
         };
         layout.trains.push(trainData);
     });
@@ -3727,10 +8593,84 @@ function exportLayout() {
         });
     });
 
-    console.log('LAYOUT_DATA:', JSON.stringify(layout, null, 2));
+    stations.forEach(station => {
+        layout.stations.push({
+            row: station.row,
+            col: station.col,
+            horizontal: station.horizontal,
+            dwell: station.dwell
+        });
+    });
+
+    signals.forEach(signal => {
+        layout.signals.push({
+            row: signal.row,
+            col: signal.col,
+            dir: signal.dir
+        });
+    });
+
+    [...terrain.keys()].map(key => key.split(',').map(Number))
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+        .forEach(([row, col]) => {
+            layout.terrain.push({ row, col, level: getTerrainLevel(row, col) });
+        });
+
+    [...water].map(key => key.split(',').map(Number))
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+        .forEach(([row, col]) => {
+            layout.water.push({ row, col });
+        });
+
     return layout;
 }
 
+// Save the current layout as a .json file
+function downloadLayout() {
+    const json = JSON.stringify(serializeLayout(), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kaitrain-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Open a layout file picked or dropped by the user. Problems are reported with
+// a toast and leave the current world untouched.
+function importLayoutFile(file) {
+    if (file.size > MAX_LAYOUT_FILE_SIZE) {
+        showToast(`"${file.name}" is too big to be a layout file`);
+        return;
+    }
+
+    file.text().then(text => {
+        let layout;
+        try {
+            layout = JSON.parse(text);
+        } catch (err) {
+            showToast(`"${file.name}" is not a layout file (it isn't valid JSON)`);
+            return;
+        }
+
+        try {
+            recordEdit(`open ${file.name}`, () => restoreLayout(layout));
+        } catch (err) {
+            console.warn('Layout file could not be loaded:', err);
+            showToast(`"${file.name}" can't be opened: ${err.message}`);
+            return;
+        }
+        openSaveId = null;
+        showToast(`Opened "${file.name}"`);
+    }).catch(err => {
+        console.warn('Layout file could not be read:', err);
+        showToast(`"${file.name}" could not be read`);
+    });
+}
+
 // Make exportLayout available globally for console access
 window.exportLayout = exportLayout;
 
@@ -3759,40 +8699,87 @@ window.copyLayout = function () {
     return layout;
 };
 
+// Upgrade, check and build a layout. Throws without touching the world if the
+// layout has problems; the error's `problems` lists each one with its path.
 function loadLayout(layoutData) {
-    // Clear existing layout
-    trains.forEach(train => {
-        train.segments.forEach(seg => scene.remove(seg.mesh));
-    });
+    const layout = migrateLayout(layoutData);
+    const problems = validateLayout(layout);
+    if (problems.length > 0) {
+        throw createLayoutError(problems);
+    }
+
+    // restoreLayout records the whole load as one step
+    const steps = editSteps;
+    const before = captureWorld();
+    editSteps = null;
+    isLoadingLayout = true;
+    try {
+        buildLayout(layout);
+    } catch (err) {
+        swapWorld(before); // Put back the world a half-built layout replaced
+        throw err;
+    } finally {
+        isLoadingLayout = false;
+        editSteps = steps;
+    }
+}
+
+function buildLayout(layoutData) {
+    // Clear existing layout into fresh containers, since an undo step may
+    // still hold the old ones
+    setWorldInScene(false);
+    world = new Map();
     trains = [];
     crossings = [];
+    signals = [];
+    stations = [];
+    terrain = new Map();
+    water = new Set();
+    scenery = [];
+
+    // Ground over the starting area; the items lay more around themselves
+    clearGround();
+    setGridSize(layoutData.size);
+    extendGround(0, 0, gridSize, gridSize);
+
+    addLayoutItems(layoutData);
+    fitSceneToGround();
+}
 
-    for (let r = 0; r < GRID_SIZE; r++) {
-        for (let c = 0; c < GRID_SIZE; c++) {
-            if (grid[r][c] && grid[r][c].mesh) {
-                scene.remove(grid[r][c].mesh);
-            }
-            grid[r][c] = { kind: null };
-        }
+// Lay the hills, water, pieces, roads, scenery, trees and trains of layout data into the world. Also
+// used to paste selections, with data from copyRegion.
+function addLayoutItems(layoutData) {
+    // Hills first, so trees are stood on them
+    if (layoutData.terrain) {
+        layoutData.terrain.forEach(hill => {
+            setTerrainLevel(hill.row, hill.col, hill.level);
+        });
     }
-
-    // Create a set of crossing cells to skip when placing tracks
-    const crossingCells = new Set();
-    if (layoutData.crossings) {
-        layoutData.crossings.forEach(crossing => {
-            crossingCells.add(`${crossing.row},${crossing.col}`);
-            const nextRow = crossing.horizontal ? crossing.row : crossing.row + 1;
-            const nextCol = crossing.horizontal ? crossing.col + 1 : crossing.col;
-            crossingCells.add(`${nextRow},${nextCol}`);
+    if (layoutData.water) {
+        layoutData.water.forEach(pool => {
+            setWaterCell(pool.row, pool.col, true);
         });
     }
 
-    // Load tracks (skip crossing cells, they'll be loaded separately)
+    // Create a set of crossing and station cells to skip when placing tracks
+    const twoCellPieces = [...(layoutData.crossings || []), ...(layoutData.stations || [])];
+    const crossingCells = new Set();
+    twoCellPieces.forEach(piece => {
+        crossingCells.add(`${piece.row},${piece.col}`);
+        const nextRow = piece.horizontal ? piece.row : piece.row + 1;
+        const nextCol = piece.horizontal ? piece.col + 1 : piece.col;
+        crossingCells.add(`${nextRow},${nextCol}`);
+    });
+
+    // Load tracks (skip crossing and station cells, they'll be loaded separately)
     if (layoutData.tracks) {
         layoutData.tracks.forEach(track => {
             const cellKey = `${track.row},${track.col}`;
             if (!crossingCells.has(cellKey)) {
                 placeTrackPiece(track.row, track.col, track.trackType);
+                if (track.points) {
+                    setSwitchPoints(track.row, track.col, track.points);
+                }
             }
         });
     }
@@ -3801,7 +8788,33 @@ function loadLayout(layoutData) {
     if (layoutData.crossings) {
         layoutData.crossings.forEach(crossing => {
             // Place the crossing (it will handle removing any existing tracks)
-            placeCrossing(crossing.row, crossing.col);
+            placeCrossing(crossing.row, crossing.col, crossing.horizontal);
+        });
+    }
+
+    // Load stations
+    if (layoutData.stations) {
+        layoutData.stations.forEach(station => {
+            addStation(station.row, station.col, station.horizontal, station.dwell || STATION_DWELL_TIMES[1]);
+        });
+    }
+
+    // Load signals
+    if (layoutData.signals) {
+        layoutData.signals.forEach(signal => {
+            addSignal(signal.row, signal.col, signal.dir);
+        });
+    }
+
+    if (layoutData.roads) {
+        layoutData.roads.forEach(road => {
+            addRoad(road.row, road.col);
+        });
+    }
+
+    if (layoutData.scenery) {
+        layoutData.scenery.forEach(piece => {
+            addScenery(piece.row, piece.col, piece.sceneryType, piece.rotation);
         });
     }
 
@@ -3827,9 +8840,21 @@ function loadLayout(layoutData) {
                 // Update mesh rotation to match direction
                 train.segments[0].mesh.rotation.y = getRotationForDirection(trainData.enterDir);
 
+                // Reversed trains carry their cars ahead of the engine
+                if (trainData.reversed) {
+                    train.reversed = true;
+                    train.segments[0].facingBack = true;
+                }
+                if (trainData.endOfLine) {
+                    train.endOfLine = trainData.endOfLine;
+                }
+                if (trainData.speed !== undefined) {
+                    train.speed = trainData.speed;
+                }
+
                 // Add cars
-                trainData.cars.forEach(carType => {
-                    addCarToTrain(train, carType);
+                trainData.cars.forEach((carType, i) => {
+                    addCarToTrain(train, carType, trainData.cargo ? trainData.cargo[i] : null);
                 });
 
                 // Update all segment positions after adding cars
@@ -3839,6 +8864,382 @@ function loadLayout(layoutData) {
             }
         });
     }
+
+    updateTerrainMesh();
+    updateWaterMesh();
+    updateRoadMeshes();
+}
+
+// ============================================================================
+// WORLD SIZE
+// ============================================================================
+
+// Ask for a world size. Returns null if cancelled or not a usable size.
+function askWorldSize(message) {
+    const answer = prompt(`${message} (${MIN_GRID_SIZE} to ${MAX_GRID_SIZE})`, String(gridSize));
+    if (answer === null) return null;
+
+    const size = Number(answer.trim());
+    if (!Number.isInteger(size) || size < MIN_GRID_SIZE || size > MAX_GRID_SIZE) {
+        showToast(`World size must be a whole number from ${MIN_GRID_SIZE} to ${MAX_GRID_SIZE}`);
+        return null;
+    }
+    return size;
+}
+
+// Grow or shrink the starting ground from its bottom-right corner. Nothing is
+// removed: pieces past the new edge keep the ground laid around them.
+function resizeWorld(size) {
+    restoreLayout({ ...serializeLayout(), size: size });
+}
+
+// ============================================================================
+// SHARE LINKS
+// ============================================================================
+
+// Layouts are shared as #layout=<base64url> links. The data is a byte stream:
+//   format, world size,
+//   area in use:              top, left (signed), rows, cols
+//   cells:                    count, (cells skipped since the last one, code)...
+//   diverging switches:       count, cell...
+//   station dwell times:      count, (cell, seconds)...
+//   signals:                  count, (cell, dir)...
+//   trains:                   count, (cell, engine, flags, speed * 4, car count, car...)...
+//   hills:                    count, (cells skipped since the last hill, level)...
+//   water:                    count, cells skipped since the last pool...
+//   scenery:                  count, (cells skipped since the last piece, kind and turn)...
+// The area fields and counts are varints, as are cells, numbered row by row
+// across the area. Everything else is one byte.
+
+// Cell codes; 'covered' is the second cell of a crossing or station
+const SHARE_CELL_CODES = [
+    'empty',
+    'straight-h', 'straight-v',
+    'curve-tl', 'curve-tr', 'curve-bl', 'curve-br',
+    'switch-h-tl', 'switch-h-tr', 'switch-h-bl', 'switch-h-br',
+    'switch-v-tl', 'switch-v-tr', 'switch-v-bl', 'switch-v-br',
+    'diamond',
+    'crossing-h', 'crossing-v',
+    'tunnel-h', 'tunnel-v',
+    'station-h', 'station-v',
+    'covered',
+    'tree-0', 'tree-1', 'tree-2',
+    'bridge-h', 'bridge-v',
+    'overpass-h', 'overpass-v',
+    'ramp-t-low', 'ramp-r-low', 'ramp-b-low', 'ramp-l-low',
+    'ramp-t-high', 'ramp-r-high', 'ramp-b-high', 'ramp-l-high',
+    'trestle-h', 'trestle-v',
+    'road'
+];
+
+function encodeShareLayout(layout) {
+    const bytes = [SHARE_FORMAT, layout.size];
+    const writeVarint = (value) => {
+        while (value >= 0x80) {
+            bytes.push((value & 0x7f) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+    };
+
+    // Smallest rectangle holding everything placed
+    const ends = [...layout.crossings, ...layout.stations].map(piece =>
+        piece.horizontal ? { row: piece.row, col: piece.col + 1 } : { row: piece.row + 1, col: piece.col });
+    const used = [...layout.tracks, ...ends, ...layout.trees, ...layout.roads, ...layout.terrain, ...layout.water,
+        ...layout.scenery.flatMap(getSceneryFootprint)];
+    const top = used.length > 0 ? Math.min(...used.map(item => item.row)) : 0;
+    const left = used.length > 0 ? Math.min(...used.map(item => item.col)) : 0;
+    const rows = used.length > 0 ? Math.max(...used.map(item => item.row)) - top + 1 : 0;
+    const cols = used.length > 0 ? Math.max(...used.map(item => item.col)) - left + 1 : 0;
+    const cellIndex = (item) => (item.row - top) * cols + (item.col - left);
+    writeVarint(top < 0 ? -2 * top - 1 : 2 * top);
+    writeVarint(left < 0 ? -2 * left - 1 : 2 * left);
+    writeVarint(rows);
+    writeVarint(cols);
+
+    // Only the cells in use, in row order, so a few far-apart pieces stay short
+    const cells = new Map();
+    layout.tracks.forEach(track => {
+        cells.set(cellIndex(track), SHARE_CELL_CODES.indexOf(track.trackType));
+    });
+    ends.forEach(end => {
+        cells.set(cellIndex(end), SHARE_CELL_CODES.indexOf('covered'));
+    });
+    layout.trees.forEach(tree => {
+        cells.set(cellIndex(tree), SHARE_CELL_CODES.indexOf(`tree-${tree.treeType || 0}`));
+    });
+    layout.roads.forEach(road => {
+        cells.set(cellIndex(road), SHARE_CELL_CODES.indexOf('road'));
+    });
+
+    writeVarint(cells.size);
+    let lastCell = -1;
+    [...cells.keys()].sort((a, b) => a - b).forEach(index => {
+        writeVarint(index - lastCell - 1);
+        bytes.push(cells.get(index));
+        lastCell = index;
+    });
+
+    const diverging = layout.tracks.filter(track => track.points === 'diverging');
+    writeVarint(diverging.length);
+    diverging.forEach(track => writeVarint(cellIndex(track)));
+
+    writeVarint(layout.stations.length);
+    layout.stations.forEach(station => {
+        writeVarint(cellIndex(station));
+        bytes.push(Math.min(255, Math.round(station.dwell)));
+    });
+
+    writeVarint(layout.signals.length);
+    layout.signals.forEach(signal => {
+        writeVarint(cellIndex(signal));
+        bytes.push(signal.dir);
+    });
+
+    writeVarint(layout.trains.length);
+    layout.trains.forEach(train => {
+        writeVarint(cellIndex(train));
+        bytes.push(ENGINE_TYPES.indexOf(train.engineType));
+        bytes.push(train.dir | (train.enterDir << 2) | ((train.reversed ? 1 : 0) << 4) |
+            (END_OF_LINE_MODES.indexOf(train.endOfLine) << 5));
+        bytes.push(Math.round(train.speed * 4));
+        bytes.push(train.cars.length);
+        train.cars.forEach((carType, i) => {
+            const cargo = train.cargo ? train.cargo[i] : null;
+            bytes.push(CAR_TYPES.indexOf(carType) | ((FREIGHT_CARGO.indexOf(cargo) + 1) << 2));
+        });
+    });
+
+    // serializeLayout lists hills row by row, so the gaps are never negative
+    writeVarint(layout.terrain.length);
+    let lastHill = -1;
+    layout.terrain.forEach(hill => {
+        writeVarint(cellIndex(hill) - lastHill - 1);
+        bytes.push(hill.level);
+        lastHill = cellIndex(hill);
+    });
+
+    // Water the same way, without a level
+    writeVarint(layout.water.length);
+    let lastPool = -1;
+    layout.water.forEach(pool => {
+        writeVarint(cellIndex(pool) - lastPool - 1);
+        lastPool = cellIndex(pool);
+    });
+
+    // Scenery by its top-left cell, with its kind and turn packed in a byte
+    writeVarint(layout.scenery.length);
+    let lastPiece = -1;
+    layout.scenery.forEach(piece => {
+        writeVarint(cellIndex(piece) - lastPiece - 1);
+        bytes.push(SCENERY_TYPES.indexOf(piece.sceneryType) | (piece.rotation << 4));
+        lastPiece = cellIndex(piece);
+    });
+
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Turn share link data back into a layout. Throws if the data is damaged;
+// the result still goes through loadLayout's validation.
+function decodeShareLayout(text) {
+    let binary;
+    try {
+        binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    } catch (err) {
+        throw new Error('the link is damaged');
+    }
+
+    let pos = 0;
+    const readByte = () => {
+        if (pos >= binary.length) {
+            throw new Error('the link is cut short');
+        }
+        return binary.charCodeAt(pos++);
+    };
+    const readVarint = () => {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = readByte();
+            value += (byte & 0x7f) * Math.pow(2, shift);
+            shift += 7;
+        } while (byte & 0x80);
+        return value;
+    };
+
+    const format = readByte();
+    if (format !== SHARE_FORMAT) {
+        throw new Error('the link was made by a different version of KaiTrain');
+    }
+    const size = readByte();
+    if (size < MIN_GRID_SIZE || size > MAX_GRID_SIZE) {
+        throw new Error(`the link is for a ${size}×${size} world`);
+    }
+    const readSigned = () => {
+        const value = readVarint();
+        return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+    };
+    const top = readSigned();
+    const left = readSigned();
+    const rows = readVarint();
+    const cols = readVarint();
+    if (!isInWorld(top, left) || !isInWorld(top + rows - 1, left + cols - 1)) {
+        throw new Error('the link reaches past the edge of the world');
+    }
+
+    const layout = {
+        version: LAYOUT_VERSION,
+        size: size,
+        tracks: [],
+        trains: [],
+        crossings: [],
+        signals: [],
+        stations: [],
+        trees: [],
+        terrain: [],
+        water: [],
+        roads: [],
+        scenery: []
+    };
+    const toCell = (index) => ({ row: top + Math.floor(index / cols), col: left + index % cols });
+
+    let lastCell = -1;
+    for (let count = readVarint(); count > 0; count--) {
+        lastCell += readVarint() + 1;
+        const code = SHARE_CELL_CODES[readByte()];
+        if (code === undefined || lastCell >= rows * cols) {
+            throw new Error('the link is damaged');
+        }
+
+        const cell = toCell(lastCell);
+        if (code === 'empty' || code === 'covered') continue;
+
+        if (code.startsWith('tree-')) {
+            layout.trees.push({ ...cell, treeType: parseInt(code.slice('tree-'.length), 10) });
+            continue;
+        }
+        if (code === 'road') {
+            layout.roads.push(cell);
+            continue;
+        }
+
+        const track = { ...cell, trackType: code };
+        if (code.startsWith('switch-')) {
+            track.points = 'straight';
+        }
+        layout.tracks.push(track);
+
+        if (code.startsWith('crossing-')) {
+            layout.crossings.push({ ...cell, horizontal: code === 'crossing-h' });
+        } else if (code.startsWith('station-')) {
+            layout.stations.push({ ...cell, horizontal: code === 'station-h', dwell: STATION_DWELL_TIMES[1] });
+        }
+    }
+
+    const findAt = (list, cell) => list.find(item => item.row === cell.row && item.col === cell.col);
+
+    for (let count = readVarint(); count > 0; count--) {
+        const track = findAt(layout.tracks, toCell(readVarint()));
+        if (track && track.points) {
+            track.points = 'diverging';
+        }
+    }
+
+    for (let count = readVarint(); count > 0; count--) {
+        const station = findAt(layout.stations, toCell(readVarint()));
+        const dwell = readByte();
+        if (station) {
+            station.dwell = dwell;
+        }
+    }
+
+    for (let count = readVarint(); count > 0; count--) {
+        layout.signals.push({ ...toCell(readVarint()), dir: readByte() });
+    }
+
+    for (let count = readVarint(); count > 0; count--) {
+        const cell = toCell(readVarint());
+        const engineType = ENGINE_TYPES[readByte()];
+        const flags = readByte();
+        const speed = readByte() / 4;
+        const cars = [];
+        const cargo = [];
+        for (let carCount = readByte(); carCount > 0; carCount--) {
+            const car = readByte();
+            cars.push(CAR_TYPES[car & 0x03]);
+            cargo.push(FREIGHT_CARGO[(car >> 2) - 1] || null);
+        }
+        layout.trains.push({
+            ...cell,
+            engineType,
+            dir: flags & 0x03,
+            enterDir: (flags >> 2) & 0x03,
+            reversed: Boolean(flags & 0x10),
+            endOfLine: END_OF_LINE_MODES[(flags >> 5) & 0x03],
+            speed,
+            cars,
+            cargo
+        });
+    }
+
+    let lastHill = -1;
+    for (let count = readVarint(); count > 0; count--) {
+        lastHill += readVarint() + 1;
+        layout.terrain.push({ ...toCell(lastHill), level: readByte() });
+    }
+
+    let lastPool = -1;
+    for (let count = readVarint(); count > 0; count--) {
+        lastPool += readVarint() + 1;
+        layout.water.push(toCell(lastPool));
+    }
+
+    let lastPiece = -1;
+    for (let count = readVarint(); count > 0; count--) {
+        lastPiece += readVarint() + 1;
+        const packed = readByte();
+        layout.scenery.push({ ...toCell(lastPiece), sceneryType: SCENERY_TYPES[packed & 0x0f], rotation: packed >> 4 });
+    }
+
+    return layout;
+}
+
+// Open the layout in the page's #layout= hash, if any. The hash is removed so
+// reloading later opens the autosave with the user's own changes.
+function openShareLink() {
+    const match = location.hash.match(/^#layout=([A-Za-z0-9_-]+)$/);
+    if (!match) return false;
+    history.replaceState(null, '', location.pathname + location.search);
+
+    try {
+        restoreLayout(decodeShareLayout(match[1]));
+    } catch (err) {
+        console.warn('Share link could not be opened:', err);
+        showToast(`This share link can't be opened: ${err.message}`);
+        return false;
+    }
+    showToast('Opened shared layout');
+    return true;
+}
+
+function shareLayout() {
+    const link = `${location.href.split('#')[0]}#layout=${encodeShareLayout(serializeLayout())}`;
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link).then(() => {
+            showToast('Link copied! Paste it to share this world');
+        }).catch(err => {
+            console.log('Could not copy to clipboard:', err);
+            prompt('Copy this link to share this world:', link);
+        });
+    } else {
+        prompt('Copy this link to share this world:', link);
+    }
 }
 
 // ============================================================================